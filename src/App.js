@@ -2,8 +2,25 @@ import React, { useState, useEffect, useRef } from 'react';
 import { createPortal } from 'react-dom';
 import ExcelJS from 'exceljs';
 import { toPng } from 'html-to-image';
-import { db } from './firebase';
-import { doc, setDoc, getDoc, onSnapshot } from 'firebase/firestore';
+import * as XLSX from 'xlsx';
+import { db, auth, googleProvider } from './firebase';
+import {
+  MONTHS, monthOfDate, normalizeImportDate, normalizeImportCharge,
+  UNAUDITED_FIELDS, planShipmentChanges, SHIP_METHODS, SHIPMENT_STATUSES, DEFAULT_STATUS,
+  ACCESSORIALS, round2, rentalDays, usesDailyRate, accessorialTotal, hasItemizedCharge,
+  chargeBreakdown, deriveCharges, isBlankShipment, mergeLegacyRows, validateShipments, statusOf,
+  GRID_COLUMNS, EMPTY_FILTERS, summarizeBy, matchesFilters, compareShipments,
+  UNCOMMITTED_STATUSES, isCommitted, stampStatus,
+} from './freightUtils';
+import {
+  doc, setDoc, getDoc, onSnapshot, collection, getDocs, query, limit,
+  writeBatch, runTransaction, deleteField, updateDoc, where, orderBy, deleteDoc,
+  waitForPendingWrites, serverTimestamp,
+} from 'firebase/firestore';
+import {
+  onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword,
+  signInWithPopup, signOut,
+} from 'firebase/auth';
 import './App.css';
 
 // ============================================
@@ -37,28 +54,436 @@ const DEFAULT_LOCATIONS = [
   'Rentex Washington DC',
 ];
 
-// ✅ New: ship method options for autocomplete
-const SHIP_METHODS = ['Round Trip', 'One Way', 'Daily rate'];
+// ============================================
+// SHIPMENT STATUS
+// Lifecycle of a row. Every transition is appended to `statusHistory`
+// ({ status, at, by }) on save; rows from before statuses count as Booked.
+// ============================================
+const STATUS_COLORS = {
+  Quoted: { fg: '#6d28d9', bg: '#ede9fe' },
+  Booked: { fg: '#1d4ed8', bg: '#dbeafe' },
+  'In Transit': { fg: '#b45309', bg: '#fef3c7' },
+  Delivered: { fg: '#047857', bg: '#d1fae5' },
+  Returned: { fg: '#0f766e', bg: '#ccfbf1' },
+  Invoiced: { fg: '#334155', bg: '#e2e8f0' },
+  Cancelled: { fg: '#b91c1c', bg: '#fee2e2' },
+};
 
-const MONTHS = [
-  'January', 'February', 'March', 'April', 'May', 'June',
-  'July', 'August', 'September', 'October', 'November', 'December',
-];
+// Shown wherever totals leave quotes and cancellations out (see isCommitted)
+const UNCOMMITTED_NOTE = `${UNCOMMITTED_STATUSES.join(' and ')} shipments are not counted in totals, budgets or commissions.`;
+
+// When the row entered its current status (null for rows never stamped)
+const statusSince = (s) => {
+  const hit = [...(s.statusHistory || [])].reverse().find((h) => h.status === statusOf(s));
+  return hit ? hit.at : null;
+};
+
+// Tooltip text: one line per transition
+const statusHistoryText = (s) =>
+  (s.statusHistory || []).length
+    ? s.statusHistory.map((h) => `${h.status} — ${new Date(h.at).toLocaleString()}${h.by ? ` (${h.by})` : ''}`).join('\n')
+    : `${statusOf(s)} (no transitions recorded)`;
+
+// Master-data lists editable from Settings. Retired entries stay in the list
+// (so old rows still validate) but are hidden from autocomplete.
+const MASTER_LISTS = {
+  company: {
+    label: 'Company',
+    plural: 'Companies',
+    listKey: 'companies',
+    retiredKey: 'retiredCompanies',
+    fields: ['company'],
+    normalize: (v) => v.toUpperCase(),
+  },
+  location: {
+    label: 'Location',
+    plural: 'Locations',
+    listKey: 'locations',
+    retiredKey: 'retiredLocations',
+    fields: ['location', 'returnLocation'],
+    normalize: (v) => v, // keep original capitalization for locations
+  },
+};
+
+// Carrier profiles live in freight-carriers/{encoded company}; the rate card is
+// rateCard[originLocation][shipMethod] = expected charge.
+const carrierRef = (company) => doc(db, 'freight-carriers', encodeURIComponent(company));
+
+const EMPTY_CARRIER_PROFILE = {
+  contacts: '',
+  phone: '',
+  email: '',
+  serviceRegions: '',
+  insuranceExpiry: '',
+  notes: '',
+  rateCard: {},
+};
+
+// Charges further than this from the rate card are flagged in the grid
+const RATE_TOLERANCE = 0.05;
+
+const formatMoney = (n) =>
+  `$${Number(n || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Years offered in the year selector (first tracked year through next year)
+const FIRST_YEAR = 2025;
+const CURRENT_YEAR = new Date().getFullYear();
+const YEARS = Array.from(
+  { length: Math.max(CURRENT_YEAR + 1, FIRST_YEAR) - FIRST_YEAR + 1 },
+  (_, i) => FIRST_YEAR + i
+);
+
+// Bare month docs (freight-data/{January}) predate year-qualified storage
+// and all hold 2025 data; they are copied into 2025-{Month} once.
+const LEGACY_YEAR = 2025;
+
+// Month documents are keyed by year + month, e.g. freight-data/2026-January
+const monthDocId = (year, month) => `${year}-${month}`;
+
+// ============================================
+// USERS & ROLES
+// Profiles live in freight-users/{uid}; new sign-ins start as pending (no data
+// access) until an admin approves them. Enforced server-side by firestore.rules.
+// ============================================
+const ROLES = ['pending', 'viewer', 'editor', 'admin'];
+const ROLE_COLORS = { pending: '#f59e0b', viewer: '#64748b', editor: '#2563eb', admin: '#7c3aed' };
+const profileLabel = (p) => (p?.displayName || p?.email || '');
+
+// ============================================
+// SHIPMENT STORAGE
+// Each shipment is its own document under freight-data/{YYYY-Month}/shipments/{id}
+// so concurrent edits to different rows never overwrite each other.
+// ============================================
+const monthRef = (year, month) => doc(db, 'freight-data', monthDocId(year, month));
+const shipmentsCol = (mRef) => collection(mRef, 'shipments');
+const shipmentRef = (mRef, id) => doc(shipmentsCol(mRef), String(id));
+
+// Budget targets live in freight-budgets/{YYYY-Month}:
+//   { total, companies: { [company]: amount }, locations: { [location]: amount } }
+const budgetRef = (year, month) => doc(db, 'freight-budgets', monthDocId(year, month));
+// Warn once spend reaches this % of budget (overridable in freight-config/global.budgetAlertPct)
+const DEFAULT_BUDGET_ALERT_PCT = 90;
+
+// Append-only change log: freight-data/{YYYY-Month}/changes/{auto}
+const changesCol = (mRef) => collection(mRef, 'changes');
+
+// Audit entries are stamped by the server (older ones hold ISO strings); read
+// `at` back as an ISO string either way, estimating it for unsynced entries
+const readChange = (d) => {
+  const c = d.data({ serverTimestamps: 'estimate' });
+  return { id: d.id, ...c, at: c.at?.toDate ? c.at.toDate().toISOString() : c.at || '' };
+};
+const presenceCol = (mRef) => collection(mRef, 'presence');
+
+// ============================================
+// PRESENCE
+// Each open session keeps freight-data/{month}/presence/{uid} up to date with a
+// heartbeat and the cell it is editing. Entries that stop beating are ignored.
+// ============================================
+const PRESENCE_HEARTBEAT_MS = 20000;
+const PRESENCE_STALE_MS = 60000;
+const PRESENCE_COLORS = ['#db2777', '#7c3aed', '#0891b2', '#ea580c', '#16a34a', '#ca8a04', '#4f46e5', '#dc2626'];
+
+const presenceColor = (uid) => {
+  let hash = 0;
+  for (const ch of String(uid)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+};
+
+const initialsOf = (name) => {
+  const words = String(name || '?').split(/[\s@._-]+/).filter(Boolean);
+  return ((words[0]?.[0] || '?') + (words[1]?.[0] || '')).toUpperCase();
+};
+
+// Soft delete: rows are flagged and shown in the month's "Deleted shipments" panel
+// until restored or purged; summaries and exports skip them.
+const TRASH_FIELDS = ['deleted', 'deletedAt', 'deletedBy'];
+const withoutTrashFields = (row) => {
+  const clean = { ...row };
+  TRASH_FIELDS.forEach((k) => delete clean[k]);
+  return clean;
+};
+
+// Display order: `order` (array index for migrated rows, id for new ones), then id
+const sortShipments = (list) =>
+  [...list].sort((a, b) => (a.order ?? a.id) - (b.order ?? b.id) || a.id - b.id);
+
+// Firestore batches cap at 500 writes
+const BATCH_LIMIT = 450;
+
+// Write only what changed between two versions of a month's shipment list
+// (see planShipmentChanges). When an `actor` ({ uid, name }) is given, every
+// change is also appended to the month's change log in the same batch. Pass
+// `movedTo` (e.g. "March 2025") when the missing rows were moved to another
+// month rather than deleted.
+const commitShipmentChanges = async (mRef, prevList, nextList, meta, actor = null, movedTo = null) => {
+  const ops = shipmentChangeOps(mRef, prevList, nextList, meta, actor, movedTo);
+  for (let i = 0; i < ops.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    ops.slice(i, i + BATCH_LIMIT).forEach((op) => op(batch));
+    await batch.commit();
+  }
+};
+
+// The batch operations behind commitShipmentChanges ([] when nothing changed)
+const shipmentChangeOps = (mRef, prevList, nextList, meta, actor = null, movedTo = null) => {
+  const { writes, log } = planShipmentChanges(prevList, nextList, movedTo);
+  const ops = writes.map(({ type, id, data }) => {
+    const ref = shipmentRef(mRef, id);
+    if (type === 'set') return (b) => b.set(ref, data);
+    if (type === 'delete') return (b) => b.delete(ref);
+    const patch = Object.fromEntries(
+      Object.entries(data).map(([k, v]) => [k, v === undefined ? deleteField() : v])
+    );
+    return (b) => b.update(ref, patch);
+  });
+  if (actor) {
+    log.forEach((entry) => ops.push((b) => b.set(doc(changesCol(mRef)), {
+      ...entry,
+      uid: actor.uid,
+      user: actor.name, // must match the profile's label (firestore.rules)
+      at: serverTimestamp(),
+    })));
+  }
+
+  if (!ops.length) return ops;
+  ops.push((b) => b.set(
+    mRef,
+    { ...meta, storage: 'rows', lastModified: new Date().toISOString() },
+    { merge: true }
+  ));
+  return ops;
+};
+
+// ============================================
+// OFFLINE QUEUE
+// Field edits saved while offline are remembered (in localStorage, so a reload
+// doesn't lose them) until Firestore has synced them. Then the audit log is
+// checked for edits other users made to the same fields in the meantime.
+// The queue is per user so a shared browser never replays someone else's edits.
+// ============================================
+const queuedEditsKey = (uid) => `freight-queued-edits:${uid}`;
+
+const loadQueuedEdits = (uid) => {
+  try {
+    return JSON.parse(localStorage.getItem(queuedEditsKey(uid))) || [];
+  } catch {
+    return [];
+  }
+};
+
+const storeQueuedEdits = (uid, edits) => {
+  if (edits.length) localStorage.setItem(queuedEditsKey(uid), JSON.stringify(edits));
+  else localStorage.removeItem(queuedEditsKey(uid));
+};
+
+// ============================================
+// UNDO/REDO
+// An undo entry records only the rows a save touched: `before`/`after` map
+// row id -> row (or null when the row did not exist), so undoing restores those
+// rows without reverting other users' edits to the rest of the month.
+// ============================================
+const UNDO_LIMIT = 50;
+
+const diffRowStates = (prevList, nextList) => {
+  const prevById = new Map(prevList.map((s) => [String(s.id), s]));
+  const nextById = new Map(nextList.map((s) => [String(s.id), s]));
+  const before = {};
+  const after = {};
+  new Set([...prevById.keys(), ...nextById.keys()]).forEach((id) => {
+    const prev = prevById.get(id) || null;
+    const next = nextById.get(id) || null;
+    if (JSON.stringify(prev) !== JSON.stringify(next)) {
+      before[id] = prev;
+      after[id] = next;
+    }
+  });
+  return { before, after };
+};
+
+const applyRowStates = (list, states) => {
+  const touched = new Set(Object.keys(states));
+  const kept = list.filter((s) => !touched.has(String(s.id)));
+  const restored = Object.values(states).filter(Boolean);
+  return sortShipments([...kept, ...restored]);
+};
+
+// Move a month doc from the old `shipments: [...]` array layout to per-row docs.
+// Runs in a transaction so two clients can't migrate (and clobber) the same month.
+const migrateMonthToRows = async (mRef) => {
+  const pre = await getDoc(mRef);
+  if (!pre.exists() || !Array.isArray(pre.data().shipments)) return;
+
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(mRef);
+    if (!snap.exists()) return;
+    const legacy = snap.data().shipments;
+    if (!Array.isArray(legacy)) return;
+    legacy.forEach((s, i) => {
+      const id = s.id ?? Date.now() + i;
+      tx.set(shipmentRef(mRef, id), { ...s, id, order: i });
+    });
+    tx.update(mRef, {
+      shipments: deleteField(),
+      storage: 'rows',
+      lastModified: new Date().toISOString(),
+    });
+  });
+};
+
+// Read every shipment of a month (migrating the doc first if needed)
+const readMonthShipments = async (year, month) => {
+  const mRef = monthRef(year, month);
+  await migrateMonthToRows(mRef);
+  const snap = await getDocs(shipmentsCol(mRef));
+  return sortShipments(snap.docs.map((d) => d.data()));
+};
+
+// ============================================
+// FILING BY SHIP DATE
+// ============================================
+// Rows per move batch. Each batch copies its rows, points the source month's
+// `movedOut` at the copies and deletes the originals, so a failed move never
+// leaves a row in both months (or neither). firestore.rules looks up every copy
+// to allow an editor's delete, and a batch may only look up 20 documents.
+const MOVE_CHUNK = 8;
+
+// Move rows out of one month document into another. Ids are kept (unless they
+// clash in the target), so a move can be reversed by moving the rows back.
+// Returns the rows as written to the target.
+const moveRowsBetweenMonths = async (from, to, rows, actor) => {
+  const [sourceRows, targetRows] = await Promise.all([
+    readMonthShipments(from.year, from.month),
+    readMonthShipments(to.year, to.month),
+  ]);
+  const sourceById = new Map(sourceRows.map((r) => [String(r.id), r]));
+  const targetIds = new Set(targetRows.map((r) => String(r.id)));
+  const fromRef = monthRef(from.year, from.month);
+  const toRef = monthRef(to.year, to.month);
+  const toId = monthDocId(to.year, to.month);
+  const base = Date.now();
+  // Rows no longer in the source month (already moved or purged) stay put
+  const moving = rows.filter((r) => sourceById.has(String(r.id)));
+  const placed = moving.map((r, i) => {
+    const row = withoutTrashFields(r);
+    delete row.order;
+    if (targetIds.has(String(row.id))) row.id = base + i;
+    return row;
+  });
+
+  for (let i = 0; i < moving.length; i += MOVE_CHUNK) {
+    const originals = moving.slice(i, i + MOVE_CHUNK).map((r) => sourceById.get(String(r.id)));
+    const copies = placed.slice(i, i + MOVE_CHUNK);
+    const movedOut = Object.fromEntries(originals.map((r, j) => [
+      String(r.id),
+      { month: toId, id: String(copies[j].id), at: serverTimestamp() },
+    ]));
+    const batch = writeBatch(db);
+    [
+      ...shipmentChangeOps(toRef, [], copies, { month: to.month, year: to.year }, actor),
+      ...shipmentChangeOps(fromRef, originals, [], { month: from.month, year: from.year }, actor, `${to.month} ${to.year}`),
+      (b) => b.update(fromRef, { movedOut }),
+    ].forEach((op) => op(batch));
+    await batch.commit();
+  }
+  return placed;
+};
+
+function FreightDashboard({ user, role, profile }) {
+  const canEdit = role === 'editor' || role === 'admin';
+  const isAdmin = role === 'admin';
+  // The audit log's `user` must match this (see firestore.rules), so it comes from the profile
+  const userLabel = profileLabel(profile) || user.email;
+  const actor = { uid: user.uid, name: userLabel };
 
-function App() {
   const [selectedMonth, setSelectedMonth] = useState('January');
+  const [selectedYear, setSelectedYear] = useState(CURRENT_YEAR);
+
+  // 'month' = data entry + month dashboard, 'year' = cross-month analytics,
+  // 'board' = the month's shipments as dispatch cards by status
+  const [view, setView] = useState('month');
+  const [yearData, setYearData] = useState(null); // { year, months: { January: [...] } }
+  const [yearLoading, setYearLoading] = useState(false);
+  const [prevYearData, setPrevYearData] = useState(null); // same shape, for year-over-year comparisons
+
+  // Agent and lane views cover the selected month or the year to date through it
+  const [analysisPeriod, setAnalysisPeriod] = useState('month'); // 'month' | 'ytd'
+
+  // Dispatch board: the card being dragged and the column under it
+  const [boardDragId, setBoardDragId] = useState(null);
+  const [boardDropStatus, setBoardDropStatus] = useState(null);
+
+  // Agent dashboard
+  const [agentCommissions, setAgentCommissions] = useState({}); // { [agent]: percent of charges }
+  const [agentFocus, setAgentFocus] = useState('');
 
   // Global, real-time lists (from Firestore config)
   const [companies, setCompanies] = useState(DEFAULT_COMPANIES);
   const [locations, setLocations] = useState(DEFAULT_LOCATIONS);
-  const [agents] = useState(DEFAULT_AGENTS);
+  const [retiredCompanies, setRetiredCompanies] = useState([]);
+  const [retiredLocations, setRetiredLocations] = useState([]);
+  const activeCompanies = companies.filter((c) => !retiredCompanies.includes(c));
+  const activeLocations = locations.filter((l) => !retiredLocations.includes(l));
+  const [agents, setAgents] = useState(DEFAULT_AGENTS);
+  // Deactivated agents stay in `agents` (and on historical rows) but are hidden from autocomplete
+  const [inactiveAgents, setInactiveAgents] = useState([]);
+  const activeAgents = agents.filter((a) => !inactiveAgents.includes(a));
 
   // Add-item UI state
   const [newCompany, setNewCompany] = useState('');
   const [newLocation, setNewLocation] = useState('');
+  const [newAgent, setNewAgent] = useState('');
+  const [showAgents, setShowAgents] = useState(false);
+
+  // Validation: which issue the "N issues" navigator last jumped to
+  const [activeIssueKey, setActiveIssueKey] = useState(null);
+
+  // Carrier profiles + rate cards, keyed by company
+  const [carrierProfiles, setCarrierProfiles] = useState({});
+
+  // Charge breakdown editor: the row being itemized and its draft amounts (strings)
+  const [chargeEdit, setChargeEdit] = useState(null); // { rowId, dailyRate, baseCharge, fuelSurcharge, … }
+
+  // Budget for the selected month (null = none set) and the admin editor draft
+  const [budget, setBudget] = useState(null);
+  const [budgetAlertPct, setBudgetAlertPct] = useState(DEFAULT_BUDGET_ALERT_PCT);
+  const [budgetDraft, setBudgetDraft] = useState(null);
+  const [profileCompany, setProfileCompany] = useState('');
+  const [profileDraft, setProfileDraft] = useState(null);
+
+  // Settings: pending rename/merge of a company or location
+  // { kind, action: 'rename' | 'merge', from, to, usage, scanning, rewrite, applying }
+  const [masterEdit, setMasterEdit] = useState(null);
+
+  // Shipments for selected month: every row doc, and the active (non-trashed) rows
+  const [allShipments, setAllShipments] = useState([]);
+  const shipments = allShipments.filter((s) => !s.deleted);
+  const deletedShipments = allShipments.filter((s) => s.deleted);
+  const [showTrash, setShowTrash] = useState(false);
 
-  // Shipments for selected month
-  const [shipments, setShipments] = useState([]);
+  // Bulk row selection (ids as strings) and the bulk action inputs
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectionAnchorRef = useRef(null);
+  const [bulkField, setBulkField] = useState('agent');
+  const [bulkValue, setBulkValue] = useState('');
+  const [bulkTarget, setBulkTarget] = useState({ year: CURRENT_YEAR, month: 'January' });
+
+  // File rows into the month of their ship date (per-browser preference)
+  const [autoFileByDate, setAutoFileByDate] = useState(() => localStorage.getItem('freight-auto-file') === 'true');
+  const [fileNotice, setFileNotice] = useState(null); // { text, undo }
+  const [showMisfiled, setShowMisfiled] = useState(false);
+  const [misfiled, setMisfiled] = useState(null); // null = not scanned yet
+  const [misfiledLoading, setMisfiledLoading] = useState(false);
+
+  // Spreadsheet-style cell range: { anchor, focus } as { pos, col } where pos is the
+  // position in visibleRows and col the index in GRID_COLUMNS
+  const [cellRange, setCellRange] = useState(null);
+  const gridRef = useRef(null);
+
+  // Shipment Details sorting/filtering (view-only; stored order is unchanged)
+  const [sortBy, setSortBy] = useState(null); // { key, dir: 'asc' | 'desc' }
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [filterSummaries, setFilterSummaries] = useState(false);
 
   // Editing state
   const [editingCell, setEditingCell] = useState(null);
@@ -70,6 +495,39 @@ function App() {
   const [lastSaved, setLastSaved] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
 
+  // Import (Excel/CSV) state
+  const importInputRef = useRef(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importMode, setImportMode] = useState('append');
+  const [importIncludeInvalid, setImportIncludeInvalid] = useState(false);
+
+  // Connection / sync state (replaces the static "Multi-user enabled" badge)
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [hasPendingWrites, setHasPendingWrites] = useState(false);
+  const [fromCache, setFromCache] = useState(false);
+  const [syncError, setSyncError] = useState(null);
+  const [queuedCount, setQueuedCount] = useState(() => loadQueuedEdits(user.uid).length);
+  const [conflicts, setConflicts] = useState([]);
+  const lastServerSyncRef = useRef(new Date().toISOString());
+
+  // Other users viewing the selected month (from the presence subcollection)
+  const [presence, setPresence] = useState([]);
+  const [presenceNow, setPresenceNow] = useState(Date.now());
+
+  // Undo/redo stacks for the selected month
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+
+  // Audit trail: per-row history + month activity feed
+  const [historyRow, setHistoryRow] = useState(null);
+  const [rowHistory, setRowHistory] = useState([]);
+  const [showActivity, setShowActivity] = useState(false);
+  const [activity, setActivity] = useState([]);
+
+  // Admin: user/role management panel
+  const [showUsers, setShowUsers] = useState(false);
+  const [userProfiles, setUserProfiles] = useState([]);
+
   // Refs for capturing graphics as images (for Excel dashboard)
   const costPerCompanyRef = useRef(null);
   const shipmentCountRef = useRef(null);
@@ -79,15 +537,18 @@ function App() {
   // CONFIG: Global lists
   // =========================
   useEffect(() => {
+    if (!isAdmin) return;
     const cfgRef = doc(db, 'freight-config', 'global');
 
-    // Create config doc if missing (bootstraps both lists)
+    // Create config doc if missing (bootstraps the lists) — config is admin-only
     (async () => {
       const snap = await getDoc(cfgRef);
       if (!snap.exists()) {
         await setDoc(cfgRef, {
           companies: DEFAULT_COMPANIES,
           locations: DEFAULT_LOCATIONS,
+          agents: DEFAULT_AGENTS,
+          inactiveAgents: [],
           createdAt: new Date().toISOString(),
           updatedAt: new Date().toISOString(),
         });
@@ -97,12 +558,18 @@ function App() {
         const payload = {};
         if (!Array.isArray(data.companies)) payload.companies = DEFAULT_COMPANIES;
         if (!Array.isArray(data.locations)) payload.locations = DEFAULT_LOCATIONS;
+        if (!Array.isArray(data.agents)) payload.agents = DEFAULT_AGENTS;
+        if (!Array.isArray(data.inactiveAgents)) payload.inactiveAgents = [];
         if (Object.keys(payload).length) {
           payload.updatedAt = new Date().toISOString();
           await setDoc(cfgRef, payload, { merge: true });
         }
       }
-    })();
+    })().catch((err) => console.error('Error bootstrapping config:', err));
+  }, [isAdmin]);
+
+  useEffect(() => {
+    const cfgRef = doc(db, 'freight-config', 'global');
 
     // Real-time subscription to global config
     const unsub = onSnapshot(cfgRef, (d) => {
@@ -110,46 +577,141 @@ function App() {
         const data = d.data() || {};
         setCompanies(Array.isArray(data.companies) && data.companies.length ? data.companies : DEFAULT_COMPANIES);
         setLocations(Array.isArray(data.locations) && data.locations.length ? data.locations : DEFAULT_LOCATIONS);
+        setAgents(Array.isArray(data.agents) && data.agents.length ? data.agents : DEFAULT_AGENTS);
+        setInactiveAgents(Array.isArray(data.inactiveAgents) ? data.inactiveAgents : []);
+        setAgentCommissions(data.agentCommissions && typeof data.agentCommissions === 'object' ? data.agentCommissions : {});
+        setBudgetAlertPct(Number(data.budgetAlertPct) > 0 ? Number(data.budgetAlertPct) : DEFAULT_BUDGET_ALERT_PCT);
+        setRetiredCompanies(Array.isArray(data.retiredCompanies) ? data.retiredCompanies : []);
+        setRetiredLocations(Array.isArray(data.retiredLocations) ? data.retiredLocations : []);
       } else {
         setCompanies(DEFAULT_COMPANIES);
         setLocations(DEFAULT_LOCATIONS);
+        setAgents(DEFAULT_AGENTS);
+        setInactiveAgents([]);
+        setAgentCommissions({});
+        setBudgetAlertPct(DEFAULT_BUDGET_ALERT_PCT);
+        setRetiredCompanies([]);
+        setRetiredLocations([]);
       }
     });
 
     return () => unsub();
   }, []);
 
+  // Real-time subscription to carrier profiles
+  useEffect(() => {
+    const unsub = onSnapshot(collection(db, 'freight-carriers'), (snap) => {
+      const next = {};
+      snap.docs.forEach((d) => {
+        const data = d.data();
+        if (data.company) next[data.company] = data;
+      });
+      setCarrierProfiles(next);
+    });
+    return () => unsub();
+  }, []);
+
+  // Real-time subscription to the selected month's budget
+  useEffect(() => {
+    setBudgetDraft(null);
+    const unsub = onSnapshot(budgetRef(selectedYear, selectedMonth), (d) => {
+      setBudget(d.exists() ? d.data() : null);
+    });
+    return () => unsub();
+  }, [selectedYear, selectedMonth]);
+
+  // Rate-card charge for a row's company + origin + ship method (null if none)
+  const expectedChargeFor = (s) => {
+    const rate = carrierProfiles[s.company]?.rateCard?.[s.location]?.[s.shipMethod];
+    return rate == null || rate === '' || isNaN(Number(rate)) ? null : Number(rate);
+  };
+
+  // { expected, pct } when a row's charge is off the rate card by more than RATE_TOLERANCE
+  // Itemized rows compare the line haul (or the per-day rate) rather than the total
+  const rateDeviationFor = (s) => {
+    const expected = expectedChargeFor(s);
+    const charge = usesDailyRate(s)
+      ? Number(s.dailyRate)
+      : hasItemizedCharge(s)
+      ? chargeBreakdown(s).base
+      : Number(s.shippingCharge || 0);
+    if (expected == null || !charge || !expected) return null;
+    const pct = (charge - expected) / expected;
+    return Math.abs(pct) > RATE_TOLERANCE ? { expected, pct } : null;
+  };
+
   // Helper to build a default row (uses first global company/location if available)
   const buildDefaultShipment = () => ({
     id: Date.now(),
     refNum: '',
     shipDate: '',
     returnDate: '',
-    location: locations?.[0] || '',
+    location: activeLocations?.[0] || '',
     returnLocation: '',
-    company: companies?.[0] || '',
+    company: activeCompanies?.[0] || '',
     shipMethod: SHIP_METHODS[0], // ✅ default to first method ("Round Trip")
+    status: DEFAULT_STATUS,
     shippingCharge: 0,
     po: '',
-    agent: agents?.[0] || '',
+    agent: activeAgents?.[0] || '',
   });
 
-  // ✅ Ensure each month exists with at least one default row
+  // ✅ Ensure a month doc exists (in row layout) with at least one default row
+  const ensureMonthDoc = async (year, month) => {
+    const mRef = monthRef(year, month);
+    await migrateMonthToRows(mRef);
+    const rowsSnap = await getDocs(query(shipmentsCol(mRef), limit(1)));
+    if (rowsSnap.empty) {
+      await commitShipmentChanges(mRef, [], [buildDefaultShipment()], { month, year });
+    }
+  };
+
+  // 🚚 One-time copy of legacy bare-month docs into {LEGACY_YEAR}-{Month}, merged
+  // with any rows already typed there (see mergeLegacyRows). Legacy docs are left
+  // in place and tagged with `migratedTo`.
+  const migrateLegacyMonths = async () => {
+    const cfgRef = doc(db, 'freight-config', 'global');
+    const cfgSnap = await getDoc(cfgRef);
+    if (cfgSnap.exists() && cfgSnap.data().legacyMonthsMigrated) return;
+
+    for (const month of MONTHS) {
+      const legacyRef = doc(db, 'freight-data', month);
+      const legacySnap = await getDoc(legacyRef);
+      if (!legacySnap.exists() || legacySnap.data().migratedTo) continue;
+      const legacyShipments = legacySnap.data().shipments || [];
+
+      const targetId = monthDocId(LEGACY_YEAR, month);
+      const targetShipments = await readMonthShipments(LEGACY_YEAR, month);
+      await commitShipmentChanges(
+        monthRef(LEGACY_YEAR, month),
+        targetShipments,
+        mergeLegacyRows(targetShipments, legacyShipments),
+        { month, year: LEGACY_YEAR }
+      );
+      await setDoc(legacyRef, { migratedTo: targetId }, { merge: true });
+    }
+
+    await setDoc(
+      cfgRef,
+      { legacyMonthsMigrated: true, updatedAt: new Date().toISOString() },
+      { merge: true }
+    );
+  };
+
+  const migrationDoneRef = useRef(false);
+
+  // ✅ Ensure each month of the selected year exists with at least one default row
   useEffect(() => {
     const initializeMonths = async () => {
       try {
+        // Seeding and migration write data, which viewers are not allowed to do
+        if (!canEdit) return;
+        if (isAdmin && !migrationDoneRef.current) {
+          migrationDoneRef.current = true;
+          await migrateLegacyMonths();
+        }
         for (const month of MONTHS) {
-          const monthDoc = doc(db, 'freight-data', month);
-          const snapshot = await getDoc(monthDoc);
-          const missing = !snapshot.exists();
-          const empty = !missing && (!snapshot.data().shipments || snapshot.data().shipments.length === 0);
-          if (missing || empty) {
-            await setDoc(monthDoc, {
-              shipments: [buildDefaultShipment()],
-              lastModified: new Date().toISOString(),
-              month,
-            });
-          }
+          await ensureMonthDoc(selectedYear, month);
         }
       } catch (err) {
         console.error('Error initializing months:', err);
@@ -158,137 +720,566 @@ function App() {
     // run after globals are available so the default row uses current lists
     initializeMonths();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [companies, locations]);
+  }, [companies, locations, selectedYear, canEdit]);
 
-  // 🔁 Real-time listener for the selected month
+  // 🔁 Real-time listener for the selected month's shipment docs
   useEffect(() => {
-    const monthDoc = doc(db, 'freight-data', selectedMonth);
-    const unsubscribe = onSnapshot(monthDoc, (docSnapshot) => {
-      if (docSnapshot.exists()) {
-        setShipments(docSnapshot.data().shipments || []);
-      } else {
-        setShipments([]);
-      }
+    const mRef = monthRef(selectedYear, selectedMonth);
+    const unsubscribe = onSnapshot(shipmentsCol(mRef), { includeMetadataChanges: true }, (querySnapshot) => {
+      setAllShipments(sortShipments(querySnapshot.docs.map((d) => d.data())));
+      setHasPendingWrites(querySnapshot.metadata.hasPendingWrites);
+      setFromCache(querySnapshot.metadata.fromCache);
+      if (!querySnapshot.metadata.fromCache) lastServerSyncRef.current = new Date().toISOString();
     });
     return () => unsubscribe();
-  }, [selectedMonth]);
+  }, [selectedYear, selectedMonth]);
+
+  // 👥 Presence: announce ourselves in the selected month and watch who else is here
+  useEffect(() => {
+    const mRef = monthRef(selectedYear, selectedMonth);
+    const pRef = doc(presenceCol(mRef), user.uid);
+    const beat = () => setDoc(pRef, {
+      uid: user.uid,
+      name: userLabel,
+      color: presenceColor(user.uid),
+      lastSeen: new Date().toISOString(),
+    }, { merge: true }).catch((err) => console.error('Error updating presence:', err));
+
+    beat();
+    const timer = setInterval(() => {
+      beat();
+      setPresenceNow(Date.now());
+    }, PRESENCE_HEARTBEAT_MS);
+    const unsubscribe = onSnapshot(presenceCol(mRef), (snap) => {
+      setPresence(snap.docs.map((d) => d.data()).filter((p) => p.uid !== user.uid));
+      setPresenceNow(Date.now());
+    });
+    const leave = () => { deleteDoc(pRef).catch(() => {}); };
+    window.addEventListener('beforeunload', leave);
+
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+      window.removeEventListener('beforeunload', leave);
+      leave();
+      setPresence([]);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedYear, selectedMonth, user.uid]);
+
+  // Publish the cell being edited so others see an outline on it
+  const editingRowId = editingCell ? shipments[editingCell.rowIndex]?.id : null;
+  const editingField = editingCell?.field || null;
+  useEffect(() => {
+    const pRef = doc(presenceCol(monthRef(selectedYear, selectedMonth)), user.uid);
+    setDoc(pRef, {
+      editing: editingRowId != null ? { rowId: String(editingRowId), field: editingField } : null,
+      lastSeen: new Date().toISOString(),
+    }, { merge: true }).catch((err) => console.error('Error updating presence:', err));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [editingRowId, editingField]);
+
+  const activeViewers = presence.filter((p) => presenceNow - new Date(p.lastSeen).getTime() < PRESENCE_STALE_MS);
+  const remoteEditors = {};
+  activeViewers.forEach((p) => {
+    if (p.editing) remoteEditors[`${p.editing.rowId}:${p.editing.field}`] = p;
+  });
+  const remoteRowEditors = (rowId) => activeViewers.filter((p) => p.editing && p.editing.rowId === String(rowId));
+
+  // 📶 Track connectivity; on reconnect, wait for queued writes and look for conflicts
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  // Also when the listener leaves the cache or pending writes drain: edits are
+  // queued whenever the snapshot is from cache, even if the browser reports online
+  useEffect(() => {
+    if (isOnline && !fromCache) checkQueuedConflicts();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOnline, fromCache, hasPendingWrites]);
+
+  // Remember field edits made while offline (see OFFLINE QUEUE)
+  const queueOfflineEdits = (prevList, nextList) => {
+    const prevById = new Map(prevList.map((s) => [String(s.id), s]));
+    const edits = [];
+    nextList.forEach((s) => {
+      const prev = prevById.get(String(s.id));
+      if (!prev) return;
+      Object.keys({ ...prev, ...s }).forEach((k) => {
+        if (UNAUDITED_FIELDS.includes(k)) return;
+        if (JSON.stringify(prev[k]) === JSON.stringify(s[k])) return;
+        edits.push({
+          year: selectedYear,
+          month: selectedMonth,
+          rowId: String(s.id),
+          refNum: s.refNum || '',
+          field: k,
+          mine: s[k] ?? null,
+          baseAt: lastServerSyncRef.current,
+        });
+      });
+    });
+    if (!edits.length) return;
+    const queued = [...loadQueuedEdits(user.uid), ...edits];
+    storeQueuedEdits(user.uid, queued);
+    setQueuedCount(queued.length);
+  };
 
-  // 💾 Save to Firestore (shipments)
-  const saveToFirebase = async (updatedShipments) => {
+  const reconcilingRef = useRef(false);
+
+  // After queued writes reach the server, find other users' edits to the same
+  // fields that happened while we were offline (ours overwrote them).
+  const checkQueuedConflicts = async () => {
+    const queued = loadQueuedEdits(user.uid);
+    if (!queued.length || reconcilingRef.current) return;
+    reconcilingRef.current = true;
     try {
-      setIsSaving(true);
-      const monthDoc = doc(db, 'freight-data', selectedMonth);
-      await setDoc(monthDoc, {
-        shipments: updatedShipments,
-        lastModified: new Date().toISOString(),
-        month: selectedMonth,
+      await waitForPendingWrites(db);
+      const found = [];
+      const groups = {};
+      queued.forEach((q) => {
+        const key = `${q.year}|${q.month}|${q.rowId}`;
+        (groups[key] = groups[key] || []).push(q);
       });
-      setLastSaved(new Date().toLocaleTimeString());
-    } catch (error) {
-      console.error('Error saving to Firebase:', error);
-      alert('Failed to save. Please check your connection.');
+      for (const edits of Object.values(groups)) {
+        const { year, month, rowId } = edits[0];
+        const snap = await getDocs(query(changesCol(monthRef(year, month)), where('rowId', '==', rowId)));
+        const remote = snap.docs.map(readChange).filter((c) => c.uid !== user.uid && c.action === 'update');
+        edits.forEach((q) => {
+          const theirs = remote
+            .filter((c) => c.field === q.field && c.at > q.baseAt)
+            .sort((a, b) => b.at.localeCompare(a.at))[0];
+          if (theirs && JSON.stringify(theirs.newValue) !== JSON.stringify(q.mine)) {
+            found.push({ ...q, theirs: theirs.newValue, theirUser: theirs.user, theirAt: theirs.at });
+          }
+        });
+      }
+      // Keep anything queued while we were checking
+      const checked = new Set(queued.map((q) => JSON.stringify(q)));
+      const rest = loadQueuedEdits(user.uid).filter((q) => !checked.has(JSON.stringify(q)));
+      storeQueuedEdits(user.uid, rest);
+      setQueuedCount(rest.length);
+      if (found.length) setConflicts((cur) => [...cur, ...found]);
+    } catch (err) {
+      console.error('Error checking offline edits for conflicts:', err);
     } finally {
-      setIsSaving(false);
+      reconcilingRef.current = false;
     }
   };
 
-  // 🔀 Change month & ensure doc exists
-  const handleMonthChange = async (newMonth) => {
-    setSelectedMonth(newMonth);
+  // Conflict resolution: "keep mine" just dismisses (our write already won);
+  // "use theirs" writes their value back through the normal commit path.
+  const resolveConflict = async (conflict, useTheirs) => {
+    setConflicts((cur) => cur.filter((c) => c !== conflict));
+    if (!useTheirs) return;
     try {
-      const monthDocRef = doc(db, 'freight-data', newMonth);
-      const snapshot = await getDoc(monthDocRef);
-      const missing = !snapshot.exists();
-      const empty = !missing && (!snapshot.data().shipments || snapshot.data().shipments.length === 0);
-      if (missing || empty) {
-        await setDoc(monthDocRef, {
-          shipments: [buildDefaultShipment()],
-          lastModified: new Date().toISOString(),
-          month: newMonth,
+      const rows = await readMonthShipments(conflict.year, conflict.month);
+      const next = rows.map((r) => (String(r.id) === conflict.rowId ? { ...r, [conflict.field]: conflict.theirs } : r));
+      await commitShipmentChanges(
+        monthRef(conflict.year, conflict.month),
+        rows,
+        next,
+        { month: conflict.month, year: conflict.year },
+        actor
+      );
+    } catch (err) {
+      console.error('Error applying remote value:', err);
+      setSyncError('Could not apply the other user\'s value.');
+    }
+  };
+
+  // 💾 Save to Firestore (shipments) — only rows/fields that differ from the
+  // last snapshot are written, so other users' edits to other rows survive.
+  // `updatedShipments` is the new active list: active rows left out of it are
+  // moved to the trash, and rows already in the trash are kept as they are.
+  // Every save is pushed onto the undo stack unless it is itself an undo/redo.
+  const saveToFirebase = async (updatedShipments, { label = 'Edit', recordUndo = true } = {}) => {
+    // 💲 Keep itemized totals in step with their rate, dates and accessorials
+    const prevRows = new Map(allShipments.map((s) => [String(s.id), s]));
+    updatedShipments = updatedShipments.map((s) => deriveCharges(prevRows.get(String(s.id)), s));
+    // 🚚 Timestamp status transitions (undo/redo restores history as it was)
+    if (recordUndo) {
+      updatedShipments = updatedShipments.map((s) => stampStatus(prevRows.get(String(s.id)), s, userLabel));
+    }
+
+    // 📅 Rows whose ship date was entered/changed to another month are filed there
+    // instead (see fileRowsByDate); here they keep their previous state.
+    let toFile = [];
+    if (autoFileByDate && recordUndo && isOnline && !fromCache) {
+      const prevById = new Map(allShipments.map((s) => [String(s.id), s]));
+      toFile = updatedShipments.filter((s) => {
+        const prev = prevById.get(String(s.id));
+        if (prev && prev.shipDate === s.shipDate) return false;
+        const home = monthOfDate(s.shipDate);
+        return !!home && YEARS.includes(home.year) && (home.year !== selectedYear || home.month !== selectedMonth);
+      });
+      if (toFile.length) {
+        const filing = new Set(toFile.map((s) => String(s.id)));
+        updatedShipments = updatedShipments.flatMap((s) => {
+          if (!filing.has(String(s.id))) return [s];
+          const prev = prevById.get(String(s.id));
+          return prev ? [prev] : [];
         });
       }
-    } catch (e) {
-      console.error('Error preparing month:', e);
     }
-  };
 
-  // 📐 Dropdown positioning (portal)
-  const computeDropdownPosition = () => {
-    if (!inputRef.current) return;
-    const rect = inputRef.current.getBoundingClientRect();
-    const vh = window.innerHeight;
-    const maxHeight = 400;
-    const padding = 6;
-    const spaceBelow = vh - rect.bottom - padding;
-    const spaceAbove = rect.top - padding;
-    const openUp = spaceBelow < 220 && spaceAbove > spaceBelow;
-    const height = Math.min(openUp ? spaceAbove - padding : spaceBelow - padding, maxHeight);
+    const keptIds = new Set(updatedShipments.map((s) => String(s.id)));
+    const deletedAt = new Date().toISOString();
+    const nextAll = [
+      ...updatedShipments,
+      ...allShipments
+        .filter((s) => !keptIds.has(String(s.id)))
+        .map((s) => (s.deleted ? s : { ...s, deleted: true, deletedAt, deletedBy: userLabel })),
+    ];
 
-    setDropdownRect({
-      top: openUp ? rect.top - height - 4 : rect.bottom + 4,
-      left: rect.left,
-      width: rect.width,
-      height: Math.max(180, height),
-    });
-  };
+    if (recordUndo) {
+      const { before, after } = diffRowStates(allShipments, nextAll);
+      if (Object.keys(before).length) {
+        setUndoStack((stack) => [...stack, { label, before, after }].slice(-UNDO_LIMIT));
+        setRedoStack([]);
+      }
+    }
+    // Offline: Firestore queues the write locally and the commit only resolves
+    // after reconnecting, so don't hold the "Saving..." state open for it.
+    const offline = !isOnline || fromCache;
+    if (offline) queueOfflineEdits(allShipments, nextAll);
 
-  useEffect(() => {
-    if (!showDropdown) return;
-    computeDropdownPosition();
-    const onScrollResize = () => computeDropdownPosition();
-    window.addEventListener('scroll', onScrollResize, true);
-    window.addEventListener('resize', onScrollResize);
-    return () => {
-      window.removeEventListener('scroll', onScrollResize, true);
-      window.removeEventListener('resize', onScrollResize);
+    const commit = commitShipmentChanges(
+      monthRef(selectedYear, selectedMonth),
+      allShipments,
+      nextAll,
+      { month: selectedMonth, year: selectedYear },
+      actor
+    );
+    const onError = (error) => {
+      console.error('Error saving to Firebase:', error);
+      setSyncError('Failed to save. Your last change was not stored.');
     };
-  }, [showDropdown, editValue]);
+    if (offline) {
+      commit.catch(onError);
+      return;
+    }
+    try {
+      setIsSaving(true);
+      setSyncError(null);
+      await commit;
+      if (toFile.length) await fileRowsByDate(toFile, allShipments);
+      setLastSaved(new Date().toLocaleTimeString());
+    } catch (error) {
+      onError(error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
 
-  // ✏️ Editing handlers
-  const handleCellClick = (rowIndex, field) => {
-    if (!shipments[rowIndex]) return;
-    const value = shipments[rowIndex][field];
-    setEditingCell({ rowIndex, field });
-    setEditValue(value ?? '');
+  // Move rows from the selected month into the months their ship dates belong to,
+  // with an undo notice. `prevList` supplies each row's state before the edit,
+  // so undo also puts the old ship date back.
+  const fileRowsByDate = async (rows, prevList = []) => {
+    const from = { year: selectedYear, month: selectedMonth };
+    const groups = {};
+    rows.forEach((r) => {
+      const home = monthOfDate(r.shipDate);
+      const key = monthDocId(home.year, home.month);
+      (groups[key] = groups[key] || { to: home, rows: [] }).rows.push(r);
+    });
 
-    if (field === 'company') {
-      setFilteredOptions(companies);
-      setShowDropdown(true);
-      setTimeout(computeDropdownPosition, 0);
-    } else if (field === 'agent') {
-      setFilteredOptions(agents);
-      setShowDropdown(true);
-      setTimeout(computeDropdownPosition, 0);
-    } else if (field === 'location' || field === 'returnLocation') {
-      setFilteredOptions(locations);
-      setShowDropdown(true);
-      setTimeout(computeDropdownPosition, 0);
-    } else if (field === 'shipMethod') {
-      // ✅ ship method autocomplete
-      setFilteredOptions(SHIP_METHODS);
-      setShowDropdown(true);
-      setTimeout(computeDropdownPosition, 0);
-    } else {
-      setShowDropdown(false);
+    // Each row moves atomically (see moveRowsBetweenMonths). A row that could not
+    // be moved is still in this month, saved with its previous ship date.
+    const moves = [];
+    const failed = [];
+    for (const { to, rows: group } of Object.values(groups)) {
+      try {
+        moves.push({ to, rows: await moveRowsBetweenMonths(from, to, group, actor) });
+      } catch (err) {
+        console.error(`Error filing rows under ${to.month} ${to.year}:`, err);
+        failed.push(to);
+      }
+    }
+    if (failed.length) {
+      setSyncError(
+        `Could not file some rows under ${failed.map((to) => `${to.month} ${to.year}`).join(', ')}. ` +
+        `They stay in ${from.month} ${from.year} with their previous ship date; enter the date again to retry.`
+      );
     }
+    if (!moves.length) return;
+
+    const prevById = new Map(prevList.map((s) => [String(s.id), s]));
+    const filed = moves.flatMap((m) => m.rows);
+    const describe = filed.length === 1
+      ? `Ref ${filed[0].refNum || '(blank)'}`
+      : `${filed.length} shipments`;
+    const targets = moves.map(({ to }) => `${to.month} ${to.year}`).join(', ');
+    setFileNotice({
+      text: `📅 Filed ${describe} under ${targets} by ship date.`,
+      undo: async () => {
+        for (const { to, rows: placed } of moves) {
+          const restored = placed.map((r) => {
+            const prev = prevById.get(String(r.id));
+            return prev ? { ...r, shipDate: prev.shipDate } : r;
+          });
+          await moveRowsBetweenMonths(to, from, restored, actor);
+        }
+      },
+    });
   };
 
-  const handleCellChange = (e) => {
-    const value = e.target.value;
+  const undoFileNotice = async () => {
+    const notice = fileNotice;
+    setFileNotice(null);
+    try {
+      await notice.undo();
+    } catch (err) {
+      console.error('Error undoing move:', err);
+      alert('Failed to undo the move. Please check your connection.');
+    }
+  };
+
+  const toggleAutoFile = () => {
+    const next = !autoFileByDate;
+    setAutoFileByDate(next);
+    localStorage.setItem('freight-auto-file', String(next));
+  };
+
+  // 🔎 Misfiled rows: ship date outside the month document they're stored in
+  const scanMisfiled = async () => {
+    setMisfiledLoading(true);
+    try {
+      const found = [];
+      for (const month of MONTHS) {
+        const rows = await readMonthShipments(selectedYear, month);
+        rows.forEach((s) => {
+          if (s.deleted) return;
+          const home = monthOfDate(s.shipDate);
+          if (home && (home.year !== selectedYear || home.month !== month)) {
+            found.push({ shipment: s, from: { year: selectedYear, month }, to: home });
+          }
+        });
+      }
+      setMisfiled(found);
+    } catch (err) {
+      console.error('Error scanning for misfiled rows:', err);
+      alert('Failed to scan months. Please check your connection.');
+    } finally {
+      setMisfiledLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (showMisfiled) scanMisfiled();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [showMisfiled, selectedYear]);
+
+  const fixMisfiled = async (entries) => {
+    const movable = entries.filter((e) => YEARS.includes(e.to.year));
+    if (!movable.length) return;
+    if (entries.length > 1 && !window.confirm(`Move ${movable.length} shipments into the months of their ship dates?`)) return;
+    try {
+      setIsSaving(true);
+      const groups = {};
+      movable.forEach((e) => {
+        const key = `${monthDocId(e.from.year, e.from.month)}>${monthDocId(e.to.year, e.to.month)}`;
+        (groups[key] = groups[key] || { from: e.from, to: e.to, rows: [] }).rows.push(e.shipment);
+      });
+      for (const { from, to, rows } of Object.values(groups)) {
+        await moveRowsBetweenMonths(from, to, rows, actor);
+      }
+      setLastSaved(new Date().toLocaleTimeString());
+    } catch (err) {
+      console.error('Error moving misfiled rows:', err);
+      alert('Failed to move shipments. Please check your connection.');
+    } finally {
+      setIsSaving(false);
+    }
+    await scanMisfiled();
+  };
+
+  // ♻️ Trash: restore puts a row back in the active list; purge removes its doc for good
+  const handleRestoreRow = (row) => {
+    saveToFirebase([...shipments, withoutTrashFields(row)], { label: 'Restore row' });
+  };
+
+  const handlePurgeRows = async (rows) => {
+    if (!isAdmin || !rows.length) return;
+    const msg = rows.length === 1
+      ? 'Permanently delete this shipment? This cannot be undone.'
+      : `Permanently delete ${rows.length} shipments? This cannot be undone.`;
+    if (!window.confirm(msg)) return;
+    const purgeIds = new Set(rows.map((s) => String(s.id)));
+    try {
+      setIsSaving(true);
+      await commitShipmentChanges(
+        monthRef(selectedYear, selectedMonth),
+        allShipments,
+        allShipments.filter((s) => !purgeIds.has(String(s.id))),
+        { month: selectedMonth, year: selectedYear },
+        actor
+      );
+      setLastSaved(new Date().toLocaleTimeString());
+    } catch (error) {
+      console.error('Error purging shipments:', error);
+      alert('Failed to purge. Check your permissions/rules.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // ↶ Undo / ↷ Redo — restore the touched rows through the normal save path
+  const handleUndo = async () => {
+    if (!canEdit || !undoStack.length) return;
+    const entry = undoStack[undoStack.length - 1];
+    setUndoStack((stack) => stack.slice(0, -1));
+    setRedoStack((stack) => [...stack, entry]);
+    await saveToFirebase(applyRowStates(shipments, entry.before), { recordUndo: false });
+  };
+
+  const handleRedo = async () => {
+    if (!canEdit || !redoStack.length) return;
+    const entry = redoStack[redoStack.length - 1];
+    setRedoStack((stack) => stack.slice(0, -1));
+    setUndoStack((stack) => [...stack, entry]);
+    await saveToFirebase(applyRowStates(shipments, entry.after), { recordUndo: false });
+  };
+
+  // History is per month: switching months starts a fresh stack
+  useEffect(() => {
+    setUndoStack([]);
+    setRedoStack([]);
+  }, [selectedYear, selectedMonth]);
+
+  // Ctrl/Cmd+Z = undo, Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z = redo (inputs keep native undo)
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const tag = e.target?.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  });
+
+  // 🔀 Change month & ensure doc exists
+  const handleMonthChange = async (newMonth) => {
+    setSelectedMonth(newMonth);
+    if (!canEdit) return;
+    try {
+      await ensureMonthDoc(selectedYear, newMonth);
+    } catch (e) {
+      console.error('Error preparing month:', e);
+    }
+  };
+
+  // 🔀 Change year (month docs for the year are created by initializeMonths)
+  const handleYearChange = (newYear) => {
+    setSelectedYear(Number(newYear));
+  };
+
+  // 📐 Dropdown positioning (portal)
+  const computeDropdownPosition = () => {
+    if (!inputRef.current) return;
+    const rect = inputRef.current.getBoundingClientRect();
+    const vh = window.innerHeight;
+    const maxHeight = 400;
+    const padding = 6;
+    const spaceBelow = vh - rect.bottom - padding;
+    const spaceAbove = rect.top - padding;
+    const openUp = spaceBelow < 220 && spaceAbove > spaceBelow;
+    const height = Math.min(openUp ? spaceAbove - padding : spaceBelow - padding, maxHeight);
+
+    setDropdownRect({
+      top: openUp ? rect.top - height - 4 : rect.bottom + 4,
+      left: rect.left,
+      width: rect.width,
+      height: Math.max(180, height),
+    });
+  };
+
+  useEffect(() => {
+    if (!showDropdown) return;
+    computeDropdownPosition();
+    const onScrollResize = () => computeDropdownPosition();
+    window.addEventListener('scroll', onScrollResize, true);
+    window.addEventListener('resize', onScrollResize);
+    return () => {
+      window.removeEventListener('scroll', onScrollResize, true);
+      window.removeEventListener('resize', onScrollResize);
+    };
+  }, [showDropdown, editValue]);
+
+  // ✏️ Editing handlers
+  const handleCellClick = (rowIndex, field) => {
+    selectCell(rowIndex, field);
+    if (!canEdit || !shipments[rowIndex]) return;
+    const busy = remoteEditors[`${shipments[rowIndex].id}:${field}`];
+    if (busy && !window.confirm(`${busy.name} is editing this cell right now. Edit it anyway?`)) return;
+    // Daily-rate totals are computed; edit the rate and extras instead
+    if (field === 'shippingCharge' && (usesDailyRate(shipments[rowIndex]) || shipments[rowIndex].shipMethod === 'Daily rate')) {
+      openChargeEditor(shipments[rowIndex]);
+      return;
+    }
+    const value = shipments[rowIndex][field];
+    setEditingCell({ rowIndex, field });
+    setEditValue(value ?? '');
+
+    if (field === 'company') {
+      setFilteredOptions(activeCompanies);
+      setShowDropdown(true);
+      setTimeout(computeDropdownPosition, 0);
+    } else if (field === 'agent') {
+      setFilteredOptions(activeAgents);
+      setShowDropdown(true);
+      setTimeout(computeDropdownPosition, 0);
+    } else if (field === 'location' || field === 'returnLocation') {
+      setFilteredOptions(activeLocations);
+      setShowDropdown(true);
+      setTimeout(computeDropdownPosition, 0);
+    } else if (field === 'shipMethod') {
+      // ✅ ship method autocomplete
+      setFilteredOptions(SHIP_METHODS);
+      setShowDropdown(true);
+      setTimeout(computeDropdownPosition, 0);
+    } else if (field === 'status') {
+      setFilteredOptions(SHIPMENT_STATUSES);
+      setShowDropdown(true);
+      setTimeout(computeDropdownPosition, 0);
+    } else {
+      setShowDropdown(false);
+    }
+  };
+
+  const handleCellChange = (e) => {
+    const value = e.target.value;
     setEditValue(value);
 
     const field = editingCell?.field;
     if (!field) return;
 
-    if (['company', 'agent', 'location', 'returnLocation', 'shipMethod'].includes(field)) {
+    if (['company', 'agent', 'location', 'returnLocation', 'shipMethod', 'status'].includes(field)) {
       const options =
         field === 'company'
-          ? companies
+          ? activeCompanies
           : field === 'agent'
-          ? agents
+          ? activeAgents
           : field === 'shipMethod'
           ? SHIP_METHODS
-          : locations;
+          : field === 'status'
+          ? SHIPMENT_STATUSES
+          : activeLocations;
 
       const filtered = options.filter((option) =>
         option.toLowerCase().includes(value.toLowerCase())
@@ -312,11 +1303,19 @@ function App() {
         const newShipments = [...shipments];
         if (field === 'shippingCharge') {
           const numValue = parseFloat(editValue);
-          newShipments[rowIndex][field] = isNaN(numValue) ? 0 : numValue;
+          // Don't silently turn a typo into $0 — keep the old value instead
+          if (String(editValue).trim() !== '' && isNaN(numValue)) {
+            alert(`"${editValue}" is not a valid charge. The previous value was kept.`);
+            setEditingCell(null);
+            setEditValue('');
+            return;
+          }
+          newShipments[rowIndex] = { ...newShipments[rowIndex], [field]: isNaN(numValue) ? 0 : numValue };
         } else {
-          newShipments[rowIndex][field] = editValue;
+          newShipments[rowIndex] = { ...newShipments[rowIndex], [field]: editValue };
         }
-        saveToFirebase(newShipments);
+        const label = excelColumns.find((c) => c.key === field)?.header || field;
+        saveToFirebase(newShipments, { label: `Edit ${label}` });
         setEditingCell(null);
         setEditValue('');
         setShowDropdown(false);
@@ -326,10 +1325,7 @@ function App() {
   };
 
   const handleKeyDown = (e, rowIndex, field) => {
-    const fields = [
-      'refNum', 'shipDate', 'returnDate', 'location', 'returnLocation',
-      'company', 'shipMethod', 'shippingCharge', 'po', 'agent',
-    ];
+    const fields = GRID_COLUMNS.map((c) => c.key);
     const currentIndex = fields.indexOf(field);
 
     if (e.key === 'Enter') {
@@ -337,14 +1333,17 @@ function App() {
         handleSelectOption(filteredOptions[0]);
       }
       handleCellBlur();
-      if (rowIndex < shipments.length - 1) {
-        setTimeout(() => handleCellClick(rowIndex + 1, field), 250);
+      // Select the cell below in the displayed (sorted/filtered) order; typing there edits it
+      const pos = visibleRows.findIndex((r) => r.index === rowIndex);
+      const next = visibleRows[pos + 1];
+      if (pos !== -1 && next) {
+        setTimeout(() => selectCell(next.index, field), 250);
       }
     } else if (e.key === 'Tab') {
       e.preventDefault();
       handleCellBlur();
       if (currentIndex < fields.length - 1) {
-        setTimeout(() => handleCellClick(rowIndex, fields[currentIndex + 1]), 250);
+        setTimeout(() => selectCell(rowIndex, fields[currentIndex + 1]), 250);
       }
     } else if (e.key === 'Escape') {
       setEditingCell(null);
@@ -355,19 +1354,406 @@ function App() {
   };
 
   const handleAddRow = () => {
+    // A fresh blank row would be hidden by most filters
+    setFilters(EMPTY_FILTERS);
     const newShipment = buildDefaultShipment();
     const updatedShipments = [...shipments, newShipment];
-    setShipments(updatedShipments);
-    saveToFirebase(updatedShipments);
+    setAllShipments([...allShipments, newShipment]);
+    saveToFirebase(updatedShipments, { label: 'Add row' });
     setTimeout(() => {
       handleCellClick(updatedShipments.length - 1, 'refNum');
     }, 300);
   };
 
+  // Moves the row to the trash (see saveToFirebase); restorable from "Deleted shipments"
   const handleDeleteRow = (index) => {
-    if (window.confirm('Delete this shipment?')) {
-      const updatedShipments = shipments.filter((_, i) => i !== index);
-      saveToFirebase(updatedShipments);
+    const updatedShipments = shipments.filter((_, i) => i !== index);
+    saveToFirebase(updatedShipments, { label: 'Delete row' });
+  };
+
+  // 💲 Charge breakdown editor
+  const openChargeEditor = (row) => {
+    const b = chargeBreakdown(row);
+    const draft = { rowId: String(row.id) };
+    // Suggest the rate card's daily rate for a new daily-rate row
+    const suggested = row.shipMethod === 'Daily rate' && !Number(row.dailyRate) ? expectedChargeFor(row) : null;
+    draft.dailyRate = row.dailyRate != null ? String(row.dailyRate) : suggested != null ? String(suggested) : '';
+    draft.baseCharge = String(round2(b.base));
+    ACCESSORIALS.forEach((a) => { draft[a.key] = row[a.key] ? String(row[a.key]) : ''; });
+    setChargeEdit(draft);
+  };
+
+  const saveChargeEditor = () => {
+    if (!chargeEdit) return;
+    const idx = shipments.findIndex((s) => String(s.id) === chargeEdit.rowId);
+    if (idx === -1) {
+      setChargeEdit(null);
+      return;
+    }
+    const amounts = {};
+    for (const key of ['dailyRate', 'baseCharge', ...ACCESSORIALS.map((a) => a.key)]) {
+      const raw = String(chargeEdit[key] ?? '').trim();
+      if (raw === '') {
+        amounts[key] = key === 'baseCharge' ? 0 : null;
+        continue;
+      }
+      const n = Number(raw);
+      if (isNaN(n) || n < 0) {
+        alert(`"${raw}" is not a valid amount.`);
+        return;
+      }
+      amounts[key] = n;
+    }
+    const row = { ...shipments[idx] };
+    if (row.shipMethod === 'Daily rate') {
+      if (amounts.dailyRate) row.dailyRate = amounts.dailyRate;
+      else delete row.dailyRate;
+    }
+    ACCESSORIALS.forEach((a) => {
+      if (amounts[a.key]) row[a.key] = amounts[a.key];
+      else delete row[a.key];
+    });
+    // Only a rate or extras make a row itemized; otherwise the base is simply its charge
+    if (usesDailyRate(row) || accessorialTotal(row) > 0) {
+      row.baseCharge = amounts.baseCharge;
+    } else {
+      delete row.baseCharge;
+      row.shippingCharge = amounts.baseCharge;
+    }
+    const updated = [...shipments];
+    updated[idx] = row;
+    saveToFirebase(updated, { label: 'Edit charges' });
+    setChargeEdit(null);
+  };
+
+  // ============================
+  // BULK: selection + actions on selected rows
+  // ============================
+  const selectedShipments = shipments.filter((s) => selectedIds.has(String(s.id)));
+
+  // Selection belongs to one month's rows
+  useEffect(() => {
+    setSelectedIds(new Set());
+    selectionAnchorRef.current = null;
+  }, [selectedYear, selectedMonth]);
+
+  // Shift-click selects every visible row between the last clicked row and this one
+  const toggleRowSelected = (id, pos, shiftKey) => {
+    const key = String(id);
+    const checked = !selectedIds.has(key);
+    const next = new Set(selectedIds);
+    const anchor = selectionAnchorRef.current;
+    if (shiftKey && anchor != null && anchor < visibleRows.length) {
+      const [from, to] = anchor < pos ? [anchor, pos] : [pos, anchor];
+      visibleRows.slice(from, to + 1).forEach(({ shipment }) => {
+        if (checked) next.add(String(shipment.id));
+        else next.delete(String(shipment.id));
+      });
+    } else if (checked) {
+      next.add(key);
+    } else {
+      next.delete(key);
+    }
+    selectionAnchorRef.current = pos;
+    setSelectedIds(next);
+  };
+
+  const allVisibleSelected = () =>
+    visibleRows.length > 0 && visibleRows.every(({ shipment }) => selectedIds.has(String(shipment.id)));
+  const toggleAllVisible = () => {
+    setSelectedIds(allVisibleSelected() ? new Set() : new Set(visibleRows.map(({ shipment }) => String(shipment.id))));
+    selectionAnchorRef.current = null;
+  };
+
+  const bulkFieldOptions = {
+    agent: activeAgents,
+    company: activeCompanies,
+    shipMethod: SHIP_METHODS,
+    status: SHIPMENT_STATUSES,
+  };
+
+  const handleBulkSetField = () => {
+    if (!selectedShipments.length || !bulkValue) return;
+    const label = GRID_COLUMNS.find((c) => c.key === bulkField)?.label || bulkField;
+    const updatedShipments = shipments.map((s) => (selectedIds.has(String(s.id)) ? { ...s, [bulkField]: bulkValue } : s));
+    saveToFirebase(updatedShipments, { label: `Set ${label} on ${selectedShipments.length} rows` });
+  };
+
+  // Copies get fresh ids (and so land at the end of the month's order)
+  const cloneRows = (rows) => {
+    const base = Date.now();
+    return rows.map((s, i) => {
+      const copy = withoutTrashFields(s);
+      delete copy.order;
+      delete copy.statusHistory; // a copy is a new shipment; its history starts on save
+      return { ...copy, id: base + i };
+    });
+  };
+
+  const handleBulkDuplicate = () => {
+    if (!selectedShipments.length) return;
+    const copies = cloneRows(selectedShipments);
+    saveToFirebase([...shipments, ...copies], { label: `Duplicate ${copies.length} rows` });
+    setSelectedIds(new Set(copies.map((s) => String(s.id))));
+  };
+
+  const handleBulkDelete = () => {
+    if (!selectedShipments.length) return;
+    if (!window.confirm(`Move ${selectedShipments.length} selected shipments to Deleted?`)) return;
+    saveToFirebase(shipments.filter((s) => !selectedIds.has(String(s.id))), { label: `Delete ${selectedShipments.length} rows` });
+    setSelectedIds(new Set());
+  };
+
+  // ============================
+  // GRID: range selection, copy/paste (TSV) and fill-down
+  // ============================
+  const selectCell = (rowIndex, field) => {
+    const pos = visibleRows.findIndex((r) => r.index === rowIndex);
+    const col = GRID_COLUMNS.findIndex((c) => c.key === field);
+    if (pos === -1 || col === -1) return;
+    setCellRange({ anchor: { pos, col }, focus: { pos, col } });
+  };
+
+  // A click selects the cell (Shift+click extends the range); double-click, Enter,
+  // F2 or typing starts an edit, as in a spreadsheet
+  const handleGridClick = (e, rowIndex, field) => {
+    if (e.shiftKey && cellRange) {
+      const pos = visibleRows.findIndex((r) => r.index === rowIndex);
+      const col = GRID_COLUMNS.findIndex((c) => c.key === field);
+      if (pos !== -1 && col !== -1) setCellRange({ ...cellRange, focus: { pos, col } });
+      return;
+    }
+    selectCell(rowIndex, field);
+  };
+
+  const rangeBounds = (range = cellRange) => range && {
+    top: Math.min(range.anchor.pos, range.focus.pos),
+    bottom: Math.max(range.anchor.pos, range.focus.pos),
+    left: Math.min(range.anchor.col, range.focus.col),
+    right: Math.max(range.anchor.col, range.focus.col),
+  };
+
+  const isCellInRange = (pos, col) => {
+    const b = rangeBounds();
+    return !!b && pos >= b.top && pos <= b.bottom && col >= b.left && col <= b.right;
+  };
+
+  // Same cell text Excel would copy: raw values, charges as plain numbers
+  const rangeToTsv = () => {
+    const b = rangeBounds();
+    const lines = [];
+    for (let pos = b.top; pos <= b.bottom; pos++) {
+      const row = visibleRows[pos]?.shipment;
+      if (!row) continue;
+      const cells = GRID_COLUMNS.slice(b.left, b.right + 1).map((c) => String(row[c.key] ?? '').replace(/[\t\r\n]+/g, ' '));
+      lines.push(cells.join('\t'));
+    }
+    return lines.join('\n');
+  };
+
+  const parseTsv = (text) => {
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return lines.map((line) => line.split('\t').map((cell) => cell.replace(/^"(.*)"$/, '$1').trim()));
+  };
+
+  // Coerce one pasted cell; returns undefined when it can't be used
+  const coercePastedValue = (field, raw) => {
+    const col = GRID_COLUMNS.find((c) => c.key === field);
+    if (col.type === 'date') {
+      const date = normalizeImportDate(raw);
+      return date === null ? undefined : date;
+    }
+    if (col.type === 'number') {
+      const charge = normalizeImportCharge(raw);
+      return charge === null ? undefined : charge;
+    }
+    // Snap list values to their canonical spelling
+    const lists = {
+      company: companies,
+      location: locations,
+      returnLocation: locations,
+      agent: agents,
+      shipMethod: SHIP_METHODS,
+      status: SHIPMENT_STATUSES,
+    };
+    const hit = lists[field]?.find((o) => o.toLowerCase() === raw.toLowerCase());
+    return hit || raw;
+  };
+
+  // 📋 Paste a block at the top-left of the range; a single value fills the whole
+  // range. Rows past the end of the table are created. Everything is one save.
+  const pasteTsv = (text) => {
+    const b = rangeBounds();
+    let block = parseTsv(text);
+    if (!b || !block.length) return;
+    if (block.length === 1 && block[0].length === 1 && (b.bottom > b.top || b.right > b.left)) {
+      block = Array.from({ length: b.bottom - b.top + 1 }, () => Array(b.right - b.left + 1).fill(block[0][0]));
+    }
+
+    const updated = [...shipments];
+    const created = [];
+    const baseId = Date.now();
+    let rejected = 0;
+    block.forEach((cells, r) => {
+      const target = visibleRows[b.top + r];
+      let row;
+      if (target) {
+        row = { ...updated[target.index] };
+      } else {
+        row = { ...buildDefaultShipment(), id: baseId + created.length };
+        created.push(row);
+      }
+      cells.forEach((raw, c) => {
+        const col = GRID_COLUMNS[b.left + c];
+        if (!col) return;
+        const value = coercePastedValue(col.key, raw);
+        if (value === undefined) rejected++;
+        else row[col.key] = value;
+      });
+      if (target) updated[target.index] = row;
+      else created[created.length - 1] = row;
+    });
+
+    const cellCount = block.reduce((n, cells) => n + Math.min(cells.length, GRID_COLUMNS.length - b.left), 0);
+    if (created.length) setFilters(EMPTY_FILTERS);
+    saveToFirebase([...updated, ...created], { label: `Paste ${cellCount} cells` });
+    setCellRange({
+      anchor: { pos: b.top, col: b.left },
+      focus: { pos: b.top + block.length - 1, col: Math.min(GRID_COLUMNS.length - 1, b.left + Math.max(...block.map((cells) => cells.length)) - 1) },
+    });
+    if (rejected) alert(`${rejected} pasted value${rejected === 1 ? ' was' : 's were'} not a valid date or charge and ${rejected === 1 ? 'was' : 'were'} skipped.`);
+  };
+
+  // Ctrl+D: copy the top row of the range down through it
+  // (a one-row range copies from the row above, like Excel)
+  const fillDown = () => {
+    const b = rangeBounds();
+    if (!b) return;
+    const sourcePos = b.top === b.bottom ? b.top - 1 : b.top;
+    const source = visibleRows[sourcePos]?.shipment;
+    if (!source) return;
+    const fields = GRID_COLUMNS.slice(b.left, b.right + 1).map((c) => c.key);
+    const updated = [...shipments];
+    for (let pos = sourcePos + 1; pos <= b.bottom; pos++) {
+      const target = visibleRows[pos];
+      if (!target) continue;
+      const row = { ...updated[target.index] };
+      fields.forEach((f) => { row[f] = source[f]; });
+      updated[target.index] = row;
+    }
+    saveToFirebase(updated, { label: 'Fill down' });
+  };
+
+  // Arrow keys move the range (Shift extends it), Enter/F2 edits, typing replaces
+  // the cell's value, Ctrl+C/V/D as in Excel.
+  // Only active while a cell is selected and nothing is being typed into.
+  useEffect(() => {
+    if (!cellRange || editingCell) return;
+    const isTyping = (t) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(t?.tagName);
+
+    const onKey = (e) => {
+      if (isTyping(e.target)) return;
+      const moves = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+      if (moves[e.key]) {
+        e.preventDefault();
+        const [dPos, dCol] = moves[e.key];
+        const focus = {
+          pos: Math.max(0, Math.min(visibleRows.length - 1, cellRange.focus.pos + dPos)),
+          col: Math.max(0, Math.min(GRID_COLUMNS.length - 1, cellRange.focus.col + dCol)),
+        };
+        setCellRange(e.shiftKey ? { ...cellRange, focus } : { anchor: focus, focus });
+      } else if (e.key === 'Enter' || e.key === 'F2') {
+        const target = visibleRows[cellRange.focus.pos];
+        if (!target) return;
+        e.preventDefault();
+        handleCellClick(target.index, GRID_COLUMNS[cellRange.focus.col].key);
+      } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey && canEdit) {
+        const target = visibleRows[cellRange.focus.pos];
+        const col = GRID_COLUMNS[cellRange.focus.col];
+        if (!target) return;
+        e.preventDefault();
+        handleCellClick(target.index, col.key);
+        // Date pickers can't take a partial value; they just open
+        if (col.type !== 'date') setEditValue(e.key);
+      } else if (e.key === 'Escape') {
+        setCellRange(null);
+      } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd' && canEdit) {
+        e.preventDefault();
+        fillDown();
+      }
+    };
+    const onCopy = (e) => {
+      if (isTyping(e.target) || !window.getSelection()?.isCollapsed) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', rangeToTsv());
+    };
+    const onPaste = (e) => {
+      if (isTyping(e.target) || !canEdit) return;
+      e.preventDefault();
+      pasteTsv(e.clipboardData.getData('text/plain'));
+    };
+    // Clicking outside the grid drops the selection (and gives the arrow keys back)
+    const onMouseDown = (e) => {
+      if (gridRef.current && !gridRef.current.contains(e.target)) setCellRange(null);
+    };
+
+    window.addEventListener('keydown', onKey);
+    document.addEventListener('copy', onCopy);
+    document.addEventListener('paste', onPaste);
+    document.addEventListener('mousedown', onMouseDown);
+    return () => {
+      window.removeEventListener('keydown', onKey);
+      document.removeEventListener('copy', onCopy);
+      document.removeEventListener('paste', onPaste);
+      document.removeEventListener('mousedown', onMouseDown);
+    };
+  });
+
+  // Ranges are positions in the current view; they don't survive a month/sort/filter change
+  useEffect(() => {
+    setCellRange(null);
+  }, [selectedYear, selectedMonth, sortBy, filters]);
+
+  // 📦 Move/copy selected rows into another month document (a move can be undone
+  // from the notice it shows)
+  const handleBulkTransfer = async (mode) => {
+    if (!selectedShipments.length) return;
+    const { year, month } = bulkTarget;
+    if (year === selectedYear && month === selectedMonth) {
+      alert('Pick a different month to move or copy to.');
+      return;
+    }
+    const verb = mode === 'move' ? 'Move' : 'Copy';
+    if (!window.confirm(`${verb} ${selectedShipments.length} shipments to ${month} ${year}?`)) return;
+
+    try {
+      setIsSaving(true);
+      if (mode === 'move') {
+        const from = { year: selectedYear, month: selectedMonth };
+        const to = { year, month };
+        const placed = await moveRowsBetweenMonths(from, to, selectedShipments, actor);
+        setFileNotice({
+          text: `➡️ Moved ${placed.length} shipments to ${month} ${year}.`,
+          undo: () => moveRowsBetweenMonths(to, from, placed, actor),
+        });
+      } else {
+        const targetRows = await readMonthShipments(year, month);
+        await commitShipmentChanges(
+          monthRef(year, month),
+          targetRows,
+          [...targetRows, ...cloneRows(selectedShipments)],
+          { month, year },
+          actor
+        );
+      }
+      setSelectedIds(new Set());
+      setLastSaved(new Date().toLocaleTimeString());
+    } catch (err) {
+      console.error(`Error during bulk ${mode}:`, err);
+      alert(`Failed to ${mode} shipments. Please check your connection.`);
+    } finally {
+      setIsSaving(false);
     }
   };
 
@@ -375,6 +1761,7 @@ function App() {
   // GLOBAL: Add company/location
   // ============================
   const addCompanyGlobal = async () => {
+    if (!isAdmin) return;
     const raw = newCompany.trim();
     if (!raw) return;
     const candidate = raw.toUpperCase();
@@ -402,6 +1789,7 @@ function App() {
   };
 
   const addLocationGlobal = async () => {
+    if (!isAdmin) return;
     const raw = newLocation.trim();
     if (!raw) return;
     // Keep original capitalization for locations
@@ -428,30 +1816,400 @@ function App() {
     }
   };
 
-  // ======== EXCEL EXPORT (with embedded images) ========
-  const excelColumns = [
-  { header: 'Reference #',   key: 'refNum' },
-  { header: 'Ship Date',     key: 'shipDate' },
-  { header: 'Return Date',   key: 'returnDate' },
-  { header: 'Location',      key: 'location' },
-  { header: 'Return Location', key: 'returnLocation' },
-  { header: 'Company',       key: 'company' },
-  { header: 'Ship Method',   key: 'shipMethod' },
-  { header: 'Charges',       key: 'shippingCharge' },
-  { header: 'PO',            key: 'po' },
-  { header: 'Agent',         key: 'agent' },
-];
+  // ============================
+  // GLOBAL: Agents (add / rename / deactivate)
+  // ============================
+  // updateDoc (not a merge) so maps in `extra` replace the stored ones and
+  // removed keys stay removed; admins bootstrap the config doc on load
+  const saveAgentsConfig = async (nextAgents, nextInactive, what, extra = {}) => {
+    try {
+      const cfgRef = doc(db, 'freight-config', 'global');
+      await updateDoc(
+        cfgRef,
+        { agents: nextAgents, inactiveAgents: nextInactive, ...extra, updatedAt: new Date().toISOString() }
+      );
+      return true;
+    } catch (e) {
+      console.error(`Failed to ${what}:`, e);
+      alert(`Failed to ${what}. Check your permissions/rules.`);
+      return false;
+    }
+  };
 
-// Map rows for Excel WITHOUT the id column
-const mapRowsForExcel = (rows) =>
-  rows.map((s) => ({
-    refNum: s.refNum ?? '',
-    shipDate: s.shipDate ?? '',
-    returnDate: s.returnDate ?? '',
-    location: s.location ?? '',
-    returnLocation: s.returnLocation ?? '',
+  const sortNames = (list) =>
+    [...list].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+
+  const addAgentGlobal = async () => {
+    if (!isAdmin) return;
+    const raw = newAgent.trim();
+    if (!raw) return;
+    const candidate = raw.toUpperCase();
+    if (agents.some((a) => a.toUpperCase() === candidate)) {
+      alert(`"${candidate}" already exists.`);
+      return;
+    }
+    if (await saveAgentsConfig(sortNames([...agents, candidate]), inactiveAgents, 'add agent')) {
+      setNewAgent('');
+    }
+  };
+
+  // Renames the list entry and every row booked under the old name (all years),
+  // so validation and the agent/commission views keep treating them as one agent
+  const renameAgentGlobal = async (oldName) => {
+    if (!isAdmin) return;
+    const raw = window.prompt(`Rename agent "${oldName}" to:`, oldName);
+    if (raw == null) return;
+    const candidate = raw.trim().toUpperCase();
+    if (!candidate || candidate === oldName) return;
+    if (agents.some((a) => a.toUpperCase() === candidate)) {
+      alert(`"${candidate}" already exists.`);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const usage = [];
+      for (const year of YEARS) {
+        for (const month of MONTHS) {
+          const rows = await readMonthShipments(year, month);
+          if (rows.some((s) => s.agent === oldName)) usage.push({ year, month, rows });
+        }
+      }
+      const count = usage.reduce((n, u) => n + u.rows.filter((s) => s.agent === oldName).length, 0);
+      if (count && !window.confirm(
+        `Rename "${oldName}" to "${candidate}"? ${count} shipment${count === 1 ? '' : 's'} in ${usage.length} month${usage.length === 1 ? '' : 's'} will be updated.`
+      )) return;
+      for (const { year, month, rows } of usage) {
+        const next = rows.map((s) => (s.agent === oldName ? { ...s, agent: candidate } : s));
+        await commitShipmentChanges(monthRef(year, month), rows, next, { month, year }, actor);
+      }
+    } catch (e) {
+      console.error('Failed to rename agent on shipments:', e);
+      alert('Failed to update shipments for the rename. Please check your connection.');
+      return;
+    } finally {
+      setIsSaving(false);
+    }
+
+    // The commission rate follows the agent to the new name
+    const nextCommissions = { ...agentCommissions };
+    if (oldName in nextCommissions) {
+      nextCommissions[candidate] = nextCommissions[oldName];
+      delete nextCommissions[oldName];
+    }
+    await saveAgentsConfig(
+      sortNames(agents.map((a) => (a === oldName ? candidate : a))),
+      inactiveAgents.map((a) => (a === oldName ? candidate : a)),
+      'rename agent',
+      { agentCommissions: nextCommissions }
+    );
+  };
+
+  // 💰 Commission rate (percent of charges) per agent; blank clears it
+  const saveAgentCommission = async (name, raw) => {
+    if (!isAdmin) return;
+    const str = String(raw).trim();
+    const pct = Number(str);
+    if (str !== '' && (isNaN(pct) || pct < 0 || pct > 100)) {
+      alert(`"${raw}" is not a valid commission percentage (0–100).`);
+      return;
+    }
+    const next = { ...agentCommissions };
+    if (str === '') delete next[name];
+    else next[name] = pct;
+    if (JSON.stringify(next) === JSON.stringify(agentCommissions)) return;
+    try {
+      // updateDoc replaces the whole map, so a cleared rate is really removed
+      // (a merge would keep the old key in Firestore)
+      await updateDoc(
+        doc(db, 'freight-config', 'global'),
+        { agentCommissions: next, updatedAt: new Date().toISOString() }
+      );
+    } catch (e) {
+      console.error('Failed to save commission rate:', e);
+      alert('Failed to save commission rate. Check your permissions/rules.');
+    }
+  };
+
+  const toggleAgentActive = async (name) => {
+    if (!isAdmin) return;
+    const nextInactive = inactiveAgents.includes(name)
+      ? inactiveAgents.filter((a) => a !== name)
+      : [...inactiveAgents, name];
+    await saveAgentsConfig(agents, nextInactive, 'update agent');
+  };
+
+  // ============================
+  // SETTINGS: rename / merge / retire companies and locations
+  // ============================
+  const masterListState = (kind) => (kind === 'company'
+    ? { list: companies, retired: retiredCompanies }
+    : { list: locations, retired: retiredLocations });
+
+  // Count (and locate) every shipment in every year/month that uses `value`
+  const scanMasterDataUsage = async (kind, value) => {
+    const { fields } = MASTER_LISTS[kind];
+    const usage = [];
+    for (const year of YEARS) {
+      for (const month of MONTHS) {
+        const rows = await readMonthShipments(year, month);
+        const count = rows.filter((s) => fields.some((f) => s[f] === value)).length;
+        if (count) usage.push({ year, month, count });
+      }
+    }
+    return usage;
+  };
+
+  const startMasterEdit = async (kind, action, from, to = '') => {
+    if (!isAdmin) return;
+    setMasterEdit({ kind, action, from, to, usage: null, scanning: true, rewrite: true, applying: false });
+    try {
+      const usage = await scanMasterDataUsage(kind, from);
+      setMasterEdit((cur) => (cur && cur.from === from ? { ...cur, usage, scanning: false } : cur));
+    } catch (e) {
+      console.error('Failed to scan shipments:', e);
+      setMasterEdit((cur) => (cur && cur.from === from ? { ...cur, usage: [], scanning: false } : cur));
+      alert('Failed to count affected shipments. Please check your connection.');
+    }
+  };
+
+  const applyMasterEdit = async () => {
+    if (!isAdmin || !masterEdit) return;
+    const { kind, action, from, rewrite, usage } = masterEdit;
+    const cfg = MASTER_LISTS[kind];
+    const { list, retired } = masterListState(kind);
+    const to = cfg.normalize(masterEdit.to.trim());
+
+    if (!to || to === from) {
+      alert(`Enter a new ${cfg.label.toLowerCase()} name.`);
+      return;
+    }
+    const existing = list.find((x) => x.toLowerCase() === to.toLowerCase());
+    if (action === 'rename' && existing && existing !== from) {
+      alert(`"${existing}" already exists. Use Merge to combine them.`);
+      return;
+    }
+    if (action === 'merge' && !existing) {
+      alert(`"${to}" is not in the ${cfg.plural.toLowerCase()} list.`);
+      return;
+    }
+
+    const nextList = action === 'rename'
+      ? sortNames(list.map((x) => (x === from ? to : x)))
+      : list.filter((x) => x !== from);
+    const nextRetired = action === 'rename'
+      ? retired.map((x) => (x === from ? to : x))
+      : retired.filter((x) => x !== from);
+
+    setMasterEdit((cur) => ({ ...cur, applying: true }));
+    try {
+      if (rewrite) {
+        for (const { year, month } of usage || []) {
+          const rows = await readMonthShipments(year, month);
+          const next = rows.map((s) => {
+            const patch = {};
+            cfg.fields.forEach((f) => { if (s[f] === from) patch[f] = to; });
+            return Object.keys(patch).length ? { ...s, ...patch } : s;
+          });
+          await commitShipmentChanges(monthRef(year, month), rows, next, { month, year }, actor);
+        }
+      }
+      // Carry carrier profiles / rate-card rows over to the new name. On merge
+      // the target's own details and rates win over the merged company's.
+      if (kind === 'company' && carrierProfiles[from]) {
+        const source = carrierProfiles[from];
+        const target = action === 'merge' ? carrierProfiles[to] : null;
+        const rateCard = { ...(source.rateCard || {}) };
+        Object.entries(target?.rateCard || {}).forEach(([loc, rates]) => {
+          rateCard[loc] = { ...(rateCard[loc] || {}), ...rates };
+        });
+        await setDoc(carrierRef(to), { ...source, ...(target || {}), company: to, rateCard });
+        await deleteDoc(carrierRef(from));
+      }
+      // Budget targets keyed by the old name move too (merged amounts add up)
+      const budgetKey = kind === 'company' ? 'companies' : 'locations';
+      const budgetSnap = await getDocs(collection(db, 'freight-budgets'));
+      for (const d of budgetSnap.docs) {
+        const targets = d.data()[budgetKey];
+        if (!targets || targets[from] == null) continue;
+        const nextTargets = { ...targets, [to]: Number(targets[to] || 0) + Number(targets[from]) };
+        delete nextTargets[from];
+        await updateDoc(d.ref, { [budgetKey]: nextTargets });
+      }
+      if (kind === 'location') {
+        for (const profile of Object.values(carrierProfiles)) {
+          const rates = profile.rateCard?.[from];
+          if (!rates) continue;
+          const rateCard = { ...profile.rateCard };
+          delete rateCard[from];
+          // On merge, the target's own rates win over the merged location's
+          rateCard[to] = { ...rates, ...(action === 'merge' ? rateCard[to] || {} : {}) };
+          await setDoc(carrierRef(profile.company), { ...profile, rateCard });
+        }
+      }
+      await setDoc(
+        doc(db, 'freight-config', 'global'),
+        { [cfg.listKey]: nextList, [cfg.retiredKey]: nextRetired, updatedAt: new Date().toISOString() },
+        { merge: true }
+      );
+      setMasterEdit(null);
+    } catch (e) {
+      console.error(`Failed to ${action} ${kind}:`, e);
+      alert(`Failed to ${action} ${cfg.label.toLowerCase()}. Check your permissions/rules.`);
+      setMasterEdit((cur) => (cur ? { ...cur, applying: false } : cur));
+    }
+  };
+
+  const toggleRetired = async (kind, value) => {
+    if (!isAdmin) return;
+    const cfg = MASTER_LISTS[kind];
+    const { retired } = masterListState(kind);
+    const nextRetired = retired.includes(value)
+      ? retired.filter((x) => x !== value)
+      : [...retired, value];
+    try {
+      await setDoc(
+        doc(db, 'freight-config', 'global'),
+        { [cfg.retiredKey]: nextRetired, updatedAt: new Date().toISOString() },
+        { merge: true }
+      );
+    } catch (e) {
+      console.error(`Failed to update ${kind}:`, e);
+      alert(`Failed to update ${cfg.label.toLowerCase()}. Check your permissions/rules.`);
+    }
+  };
+
+  // ============================
+  // ADMIN: user roles
+  // ============================
+  useEffect(() => {
+    if (!isAdmin || !showUsers) return;
+    const unsub = onSnapshot(collection(db, 'freight-users'), (snap) => {
+      setUserProfiles(
+        snap.docs
+          .map((d) => ({ uid: d.id, ...d.data() }))
+          .sort((a, b) => (a.email || '').localeCompare(b.email || ''))
+      );
+    });
+    return () => unsub();
+  }, [isAdmin, showUsers]);
+
+  // Display names appear on every audit entry, so only admins set them
+  const setUserDisplayName = async (uid, name) => {
+    if (!isAdmin) return;
+    const displayName = name.trim();
+    if (displayName === (userProfiles.find((p) => p.uid === uid)?.displayName || '')) return;
+    try {
+      await updateDoc(doc(db, 'freight-users', uid), { displayName, updatedAt: new Date().toISOString() });
+    } catch (e) {
+      console.error('Failed to update display name:', e);
+      alert('Failed to update name. Check your permissions/rules.');
+    }
+  };
+
+  const setUserRole = async (uid, nextRole) => {
+    if (!isAdmin) return;
+    if (uid === user.uid && nextRole !== 'admin' &&
+      !window.confirm('Remove your own admin role? You will lose access to this panel.')) return;
+    try {
+      await updateDoc(doc(db, 'freight-users', uid), { role: nextRole, updatedAt: new Date().toISOString() });
+    } catch (e) {
+      console.error('Failed to update role:', e);
+      alert('Failed to update role. Check your permissions/rules.');
+    }
+  };
+
+  // ============================
+  // AUDIT TRAIL
+  // ============================
+  useEffect(() => {
+    setRowHistory([]); // don't flash the previous row's entries
+    if (!historyRow) return;
+    const q = query(
+      changesCol(monthRef(selectedYear, selectedMonth)),
+      where('rowId', '==', String(historyRow.id))
+    );
+    const unsub = onSnapshot(q, (snap) => {
+      // Sorted client-side to avoid needing a composite index
+      setRowHistory(snap.docs.map(readChange).sort((a, b) => b.at.localeCompare(a.at)));
+    });
+    return () => unsub();
+  }, [historyRow, selectedYear, selectedMonth]);
+
+  useEffect(() => {
+    if (!showActivity) return;
+    const q = query(
+      changesCol(monthRef(selectedYear, selectedMonth)),
+      orderBy('at', 'desc'),
+      limit(100)
+    );
+    const unsub = onSnapshot(q, (snap) => {
+      setActivity(snap.docs.map(readChange));
+    });
+    return () => unsub();
+  }, [showActivity, selectedYear, selectedMonth]);
+
+  // Close the row history when switching months
+  useEffect(() => {
+    setHistoryRow(null);
+    setShowTrash(false);
+  }, [selectedYear, selectedMonth]);
+
+  const formatAuditValue = (field, v) => {
+    if (v == null || v === '') return '(blank)';
+    if (field === 'shippingCharge') return `$${Number(v).toFixed(2)}`;
+    return typeof v === 'object' ? JSON.stringify(v) : String(v);
+  };
+
+  const describeChange = (c) => {
+    if (c.action === 'create') return 'added the row';
+    if (c.action === 'trash') return 'deleted the row (moved to trash)';
+    if (c.action === 'restore') return 'restored the row from trash';
+    if (c.action === 'purge' || c.action === 'delete') return 'permanently deleted the row';
+    if (c.action === 'move') return `moved the row to ${c.newValue}`;
+    const label = excelColumns.find((col) => col.key === c.field)?.header || c.field;
+    return `${label}: ${formatAuditValue(c.field, c.oldValue)} → ${formatAuditValue(c.field, c.newValue)}`;
+  };
+
+  // ======== EXCEL EXPORT (with embedded images) ========
+  const excelColumns = [
+  { header: 'Reference #',   key: 'refNum' },
+  { header: 'Status',        key: 'status' },
+  { header: 'Ship Date',     key: 'shipDate' },
+  { header: 'Return Date',   key: 'returnDate' },
+  { header: 'Location',      key: 'location' },
+  { header: 'Return Location', key: 'returnLocation' },
+  { header: 'Company',       key: 'company' },
+  { header: 'Ship Method',   key: 'shipMethod' },
+  { header: 'Days',          key: 'days' },
+  { header: 'Rate / Day',    key: 'dailyRate' },
+  { header: 'Base Charge',   key: 'baseCharge' },
+  ...ACCESSORIALS.map((a) => ({ header: a.label, key: a.key })),
+  { header: 'Charges',       key: 'shippingCharge' },
+  { header: 'PO',            key: 'po' },
+  { header: 'Agent',         key: 'agent' },
+];
+
+// Charge breakdown columns are spreadsheet-only; narrow views (PDF list, import preview) skip them
+const CHARGE_DETAIL_KEYS = ['days', 'dailyRate', 'baseCharge', ...ACCESSORIALS.map((a) => a.key)];
+const listColumns = excelColumns.filter((c) => !CHARGE_DETAIL_KEYS.includes(c.key));
+
+// Map rows for Excel WITHOUT the id column
+const mapRowsForExcel = (rows) =>
+  rows.map((s) => ({
+    refNum: s.refNum ?? '',
+    status: statusOf(s),
+    shipDate: s.shipDate ?? '',
+    returnDate: s.returnDate ?? '',
+    location: s.location ?? '',
+    returnLocation: s.returnLocation ?? '',
     company: s.company ?? '',
     shipMethod: s.shipMethod ?? '',
+    // Breakdown columns: blank unless the row is itemized / billed per day
+    days: usesDailyRate(s) ? chargeBreakdown(s).days ?? '' : '',
+    dailyRate: usesDailyRate(s) ? Number(s.dailyRate) : '',
+    baseCharge: hasItemizedCharge(s) ? chargeBreakdown(s).base : '',
+    ...Object.fromEntries(ACCESSORIALS.map((a) => [a.key, hasItemizedCharge(s) ? Number(s[a.key] || 0) : ''])),
     shippingCharge: Number(s.shippingCharge || 0),
     po: s.po ?? '',
     agent: s.agent ?? '',
@@ -493,8 +2251,13 @@ const buildDataSheetPretty = (wb, title, rows) => {
   // Add rows
   rows.forEach((r) => sheet.addRow(r));
 
-  // Currency format on Charges
-  sheet.getColumn('shippingCharge').numFmt = '$#,##0.00';
+  // Currency format on Charges and its breakdown
+  ['dailyRate', 'baseCharge', ...ACCESSORIALS.map((a) => a.key), 'shippingCharge'].forEach((key) => {
+    sheet.getColumn(key).numFmt = '$#,##0.00';
+  });
+
+  // Filter dropdowns on the header row
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: excelColumns.length } };
 
   // Autosize all columns to fit
   autosizeColumns(sheet);
@@ -502,6 +2265,140 @@ const buildDataSheetPretty = (wb, title, rows) => {
   return sheet;
 };
 
+// ======== EXCEL SUMMARY SHEETS (live formulas over the data sheets) ========
+// Cached results are filled in too, so the numbers show before Excel recalculates.
+// `dataSheets` entries are { name, rows, sheet } with `sheet` from buildDataSheetPretty.
+const sheetRef = (name) => `'${name.replace(/'/g, "''")}'`;
+
+// A data column limited to the sheet's rows, e.g. 'March'!$N$2:$N$41
+const dataRange = (d, key) => {
+  const col = d.sheet.getColumn(key).letter;
+  return `${sheetRef(d.sheet.name)}!$${col}$2:$${col}$${d.rows.length + 1}`;
+};
+
+// SUMPRODUCT terms that drop quoted/cancelled rows (see isCommitted)
+const committedTerms = (d) => UNCOMMITTED_STATUSES.map((st) => `--(${dataRange(d, 'status')}<>"${st}")`).join(',');
+const sumCharges = (rows) => rows.reduce((sum, r) => sum + Number(r.shippingCharge || 0), 0);
+
+const styleSummarySheet = (sheet, totalRowNum) => {
+  sheet.getRow(1).font = { bold: true };
+  sheet.getColumn('total').numFmt = '$#,##0.00';
+  sheet.getColumn('avg').numFmt = '$#,##0.00';
+  sheet.getColumn('share').numFmt = '0.0%';
+  const totalRow = sheet.getRow(totalRowNum);
+  totalRow.font = { bold: true };
+  totalRow.eachCell((cell) => { cell.border = { top: { style: 'thin' } }; });
+};
+
+const summaryColumns = (label) => [
+  { header: label, key: 'key', width: 28 },
+  { header: 'Shipments', key: 'count', width: 12 },
+  { header: 'Total Charges', key: 'total', width: 16 },
+  { header: 'Avg / Shipment', key: 'avg', width: 16 },
+  { header: 'Share', key: 'share', width: 10 },
+];
+
+// One row per distinct value of `field` across `dataSheets` ([{ name, rows }]),
+// using COUNTIF/SUMIF, plus an (Unassigned) row for blanks and a totals row
+const buildGroupSummarySheet = (wb, title, field, label, dataSheets) => {
+  const sheet = wb.addWorksheet(title, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = summaryColumns(label);
+
+  const allRows = dataSheets.flatMap((d) => d.rows).filter(isCommitted);
+  const grandCount = allRows.length;
+  const grandTotal = sumCharges(allRows);
+  const groups = summarizeBy(allRows.filter((r) => r[field]), (r) => r[field]);
+  const unassigned = allRows.filter((r) => !r[field]);
+  const lastGroupRow = 1 + groups.length;
+  const totalRowNum = lastGroupRow + (unassigned.length ? 2 : 1);
+
+  const addSummaryRow = (rowNum, key, countF, totalF, count, total) => {
+    sheet.addRow({
+      key,
+      count: { formula: countF, result: count },
+      total: { formula: totalF, result: total },
+      avg: { formula: `IF(B${rowNum}>0,C${rowNum}/B${rowNum},0)`, result: count ? total / count : 0 },
+      share: { formula: `IF($C$${totalRowNum}>0,C${rowNum}/$C$${totalRowNum},0)`, result: grandTotal ? total / grandTotal : 0 },
+    });
+  };
+
+  // Exact matches via SUMPRODUCT: COUNTIF/SUMIF would treat * and ? in names as wildcards
+  const filled = dataSheets.filter((d) => d.rows.length);
+  groups.forEach((g, i) => {
+    const r = 2 + i;
+    const countF = filled
+      .map((d) => `SUMPRODUCT(--(${dataRange(d, field)}=$A${r}),${committedTerms(d)})`)
+      .join('+') || '0';
+    const totalF = filled
+      .map((d) => `SUMPRODUCT(--(${dataRange(d, field)}=$A${r}),${committedTerms(d)},${dataRange(d, 'shippingCharge')})`)
+      .join('+') || '0';
+    addSummaryRow(r, g.key, countF, totalF, g.count, g.total);
+  });
+  if (unassigned.length) {
+    const r = lastGroupRow + 1;
+    addSummaryRow(
+      r,
+      '(Unassigned)',
+      `B${totalRowNum}-SUM(B2:B${lastGroupRow})`,
+      `C${totalRowNum}-SUM(C2:C${lastGroupRow})`,
+      unassigned.length,
+      sumCharges(unassigned)
+    );
+  }
+  addSummaryRow(
+    totalRowNum,
+    'Total',
+    filled.map((d) => `SUMPRODUCT(${committedTerms(d)})`).join('+') || '0',
+    filled.map((d) => `SUMPRODUCT(${committedTerms(d)},${dataRange(d, 'shippingCharge')})`).join('+') || '0',
+    grandCount,
+    grandTotal
+  );
+
+  styleSummarySheet(sheet, totalRowNum);
+  return sheet;
+};
+
+// One row per month sheet, plus a totals row
+const buildYearSummarySheet = (wb, title, dataSheets) => {
+  const sheet = wb.addWorksheet(title, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = summaryColumns('Month');
+  const totalRowNum = dataSheets.length + 2;
+  const committed = dataSheets.map((d) => d.rows.filter(isCommitted));
+  const grandTotal = committed.reduce((sum, rows) => sum + sumCharges(rows), 0);
+
+  dataSheets.forEach((d, i) => {
+    const r = 2 + i;
+    const count = committed[i].length;
+    const total = sumCharges(committed[i]);
+    const filled = d.rows.length > 0;
+    sheet.addRow({
+      key: d.name,
+      count: { formula: filled ? `SUMPRODUCT(${committedTerms(d)})` : '0', result: count },
+      total: { formula: filled ? `SUMPRODUCT(${committedTerms(d)},${dataRange(d, 'shippingCharge')})` : '0', result: total },
+      avg: { formula: `IF(B${r}>0,C${r}/B${r},0)`, result: count ? total / count : 0 },
+      share: { formula: `IF($C$${totalRowNum}>0,C${r}/$C$${totalRowNum},0)`, result: grandTotal ? total / grandTotal : 0 },
+    });
+  });
+  const grandCount = committed.reduce((n, rows) => n + rows.length, 0);
+  sheet.addRow({
+    key: 'Total',
+    count: { formula: `SUM(B2:B${totalRowNum - 1})`, result: grandCount },
+    total: { formula: `SUM(C2:C${totalRowNum - 1})`, result: grandTotal },
+    avg: { formula: `IF(B${totalRowNum}>0,C${totalRowNum}/B${totalRowNum},0)`, result: grandCount ? grandTotal / grandCount : 0 },
+    share: { formula: `IF(C${totalRowNum}>0,1,0)`, result: grandTotal ? 1 : 0 },
+  });
+
+  styleSummarySheet(sheet, totalRowNum);
+  return sheet;
+};
+
+// Company / agent / location breakdowns shared by both exports
+const addGroupSummarySheets = (wb, dataSheets) => {
+  buildGroupSummarySheet(wb, 'By Company', 'company', 'Company', dataSheets);
+  buildGroupSummarySheet(wb, 'By Agent', 'agent', 'Agent', dataSheets);
+  buildGroupSummarySheet(wb, 'By Location', 'location', 'Location', dataSheets);
+};
+
 // Trigger a file download for a given Blob
 const downloadBlob = (blob, filename) => {
   const url = URL.createObjectURL(blob);
@@ -527,7 +2424,8 @@ const downloadBlob = (blob, filename) => {
 
     const wb = new ExcelJS.Workbook();
     const dataRows = mapRowsForExcel(shipments);
-    buildDataSheetPretty(wb, selectedMonth, dataRows);
+    const sheet = buildDataSheetPretty(wb, selectedMonth, dataRows);
+    addGroupSummarySheets(wb, [{ name: selectedMonth, rows: dataRows, sheet }]);
 
     const dash = wb.addWorksheet('Dashboard', { pageSetup: { orientation: 'landscape' } });
     const addImg = (base64, tlRow, tlCol, widthPx, heightPx) => {
@@ -541,7 +2439,7 @@ const downloadBlob = (blob, filename) => {
     };
 
     const title = dash.getCell('A1');
-    title.value = `Dashboard — ${selectedMonth}`;
+    title.value = `Dashboard — ${selectedMonth} ${selectedYear}`;
     title.font = { bold: true, size: 16 };
     dash.mergeCells('A1:F1');
 
@@ -551,129 +2449,1838 @@ const downloadBlob = (blob, filename) => {
 
     const buf = await wb.xlsx.writeBuffer();
     downloadBlob(new Blob([buf], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
-      `freight-${selectedMonth}-${new Date().toISOString().split('T')[0]}.xlsx`
+      `freight-${selectedYear}-${selectedMonth}-${new Date().toISOString().split('T')[0]}.xlsx`
     );
   };
 
   const exportAllMonthsExcel = async () => {
     const wb = new ExcelJS.Workbook();
+    const dataSheets = [];
     for (const month of MONTHS) {
-      const monthDocRef = doc(db, 'freight-data', month);
-      const docSnap = await getDoc(monthDocRef);
-      const list = docSnap.exists() ? docSnap.data().shipments || [] : [];
+      const list = (await readMonthShipments(selectedYear, month)).filter((s) => !s.deleted);
       const rows = mapRowsForExcel(list);
-      buildDataSheetPretty(wb, month, rows);
+      dataSheets.push({ name: month, rows, sheet: buildDataSheetPretty(wb, month, rows) });
     }
+    buildYearSummarySheet(wb, `${selectedYear} Summary`, dataSheets);
+    addGroupSummarySheets(wb, dataSheets);
+    // Summaries first so the workbook opens on the year overview
+    const summaries = wb.worksheets.slice(dataSheets.length);
+    [...summaries, ...dataSheets.map((d) => d.sheet)].forEach((ws, i) => { ws.orderNo = i; });
     const buf = await wb.xlsx.writeBuffer();
     downloadBlob(new Blob([buf], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
-      `freight-all-months-${new Date().toISOString().split('T')[0]}.xlsx`
+      `freight-${selectedYear}-all-months-${new Date().toISOString().split('T')[0]}.xlsx`
     );
   };
 
-  // ======== Summary calculations ========
-  const companySummary = (() => {
-    const summary = {};
-    shipments.forEach((s) => {
-      const key = s.company || '(Unassigned)';
-      if (!summary[key]) summary[key] = { count: 0, total: 0 };
-      summary[key].count += 1;
-      summary[key].total += Number(s.shippingCharge || 0);
-    });
-    return Object.entries(summary)
-      .map(([company, data]) => ({ company, ...data }))
-      .sort((a, b) => b.total - a.total);
-  })();
+  // ======== PDF REPORT (client-side, vector) ========
+  // Title page with summary cards, company cost table, bar charts drawn with
+  // jsPDF primitives, then the full shipment list (landscape) with totals.
+  // jsPDF is loaded on demand; it is large and only needed here.
+  const exportMonthPdf = async () => {
+    let jsPDF, autoTable;
+    try {
+      [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+    } catch (e) {
+      console.error('Failed to load the PDF library:', e);
+      alert('Failed to load the PDF generator. Check your connection and try again.');
+      return;
+    }
+    // The list shows every row; figures use the same committed rows as the dashboard cards
+    const rows = shipments;
+    const counted = rows.filter(isCommitted);
+    const byCompany = summarizeBy(counted, (s) => s.company);
+    const total = counted.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0);
+    const period = `${selectedMonth} ${selectedYear}`;
 
-  const totalCost = shipments.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0);
-  const maxCount = Math.max(...companySummary.map((c) => c.count), 1);
-  const chartColors = [
-    '#3b82f6', '#8b5cf6', '#ec4899', '#f59e0b', '#10b981',
-    '#06b6d4', '#6366f1', '#f97316', '#14b8a6', '#f43f5e',
-  ];
+    const pdf = new jsPDF({ unit: 'pt', format: 'letter' });
+    const margin = 48;
+    const pageWidth = () => pdf.internal.pageSize.getWidth();
+    const pageHeight = () => pdf.internal.pageSize.getHeight();
 
-  // ======== Render helpers ========
-  const renderCell = (rowIndex, field, value) => {
-    const isEditing = editingCell?.rowIndex === rowIndex && editingCell?.field === field;
-    const isNumeric = field === 'shippingCharge';
-    const hasAutocomplete =
-      field === 'company' ||
-      field === 'agent' ||
-      field === 'location' ||
-      field === 'returnLocation' ||
-      field === 'shipMethod';
+    // --- Title page ---
+    pdf.setFillColor('#1d4ed8');
+    pdf.rect(0, 0, pageWidth(), 160, 'F');
+    pdf.setTextColor('#ffffff');
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(28);
+    pdf.text('Freight Report', margin, 80);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(16);
+    pdf.text(period, margin, 110);
+    pdf.setFontSize(10);
+    pdf.text(`Generated ${new Date().toLocaleString()} by ${userLabel}`, margin, 135);
 
-    if (isEditing) {
-      return (
-        <div style={{ position: 'relative' }}>
-          <input
-            ref={inputRef}
-            type={isNumeric ? 'number' : field.includes('Date') ? 'date' : 'text'}
-            value={editValue}
-            onChange={handleCellChange}
-            onBlur={handleCellBlur}
-            onKeyDown={(e) => handleKeyDown(e, rowIndex, field)}
-            style={{
-              width: '100%',
-              padding: '4px 8px',
-              border: '2px solid #3b82f6',
-              outline: 'none',
-              fontSize: '12px',
-            }}
-            step={isNumeric ? '0.01' : undefined}
-            autoComplete="off"
-          />
-          {hasAutocomplete && showDropdown && filteredOptions.length > 0 && dropdownRect &&
-            createPortal(
-              <div
-                style={{
-                  position: 'fixed',
-                  zIndex: 9999,
-                  top: dropdownRect.top,
-                  left: dropdownRect.left,
-                  width: dropdownRect.width,
-                  maxHeight: dropdownRect.height,
-                  overflowY: 'auto',
-                  background: 'white',
-                  border: '1px solid #cbd5e1',
-                  borderRadius: 8,
-                  boxShadow: '0 12px 24px rgba(0,0,0,0.18)',
-                }}
-              >
-                {filteredOptions.map((option, idx) => (
-                  <div
-                    key={idx}
-                    onMouseDown={() => handleSelectOption(option)}
-                    style={{ padding: '10px 12px', fontSize: 13, cursor: 'pointer' }}
-                    onMouseEnter={(e) => (e.currentTarget.style.background = '#eef2ff')}
-                    onMouseLeave={(e) => (e.currentTarget.style.background = 'white')}
-                  >
-                    {option}
-                  </div>
-                ))}
-              </div>,
-              document.body
-            )}
-        </div>
-      );
+    const cards = [
+      { label: 'Total Revenue', value: formatMoney(total), color: '#667eea' },
+      { label: 'Total Shipments', value: String(counted.length), color: '#f5576c' },
+      { label: 'Active Companies', value: String(byCompany.length), color: '#4facfe' },
+      { label: 'Avg Per Shipment', value: formatMoney(counted.length ? total / counted.length : 0), color: '#10b981' },
+    ];
+    const gap = 12;
+    const cardWidth = (pageWidth() - margin * 2 - gap) / 2;
+    cards.forEach((card, i) => {
+      const x = margin + (i % 2) * (cardWidth + gap);
+      const y = 200 + Math.floor(i / 2) * 92;
+      pdf.setFillColor(card.color);
+      pdf.roundedRect(x, y, cardWidth, 80, 8, 8, 'F');
+      pdf.setTextColor('#ffffff');
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(11);
+      pdf.text(card.label, x + 16, y + 26);
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(22);
+      pdf.text(card.value, x + 16, y + 60);
+    });
+    if (counted.length < rows.length) {
+      pdf.setTextColor('#64748b');
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(9);
+      pdf.text(UNCOMMITTED_NOTE, margin, 396);
     }
 
-    return (
-      <div
-        onClick={() => handleCellClick(rowIndex, field)}
-        style={{
-          width: '100%',
-          padding: '4px 8px',
-          cursor: 'cell',
-          fontSize: '12px',
-        }}
-        onMouseEnter={(e) => (e.currentTarget.style.background = '#eff6ff')}
-        onMouseLeave={(e) => (e.currentTarget.style.background = 'transparent')}
+    // --- Company cost table ---
+    pdf.setTextColor('#334155');
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(14);
+    pdf.text('Shipping Cost Per Company', margin, 420);
+    autoTable(pdf, {
+      startY: 432,
+      margin: { left: margin, right: margin },
+      head: [['Company', 'Shipments', 'Total Cost', 'Share']],
+      body: byCompany.map((c) => [
+        c.key,
+        c.count,
+        formatMoney(c.total),
+        `${total > 0 ? ((c.total / total) * 100).toFixed(1) : '0.0'}%`,
+      ]),
+      foot: [['Total', counted.length, formatMoney(total), '100%']],
+      showFoot: 'lastPage',
+      headStyles: { fillColor: '#1d4ed8' },
+      footStyles: { fillColor: '#e2e8f0', textColor: '#0f172a' },
+      columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' } },
+      styles: { fontSize: 9 },
+    });
+
+    // --- Charts (horizontal bars) ---
+    const barChart = (title, items, valueOf, labelOf) => {
+      pdf.addPage('letter', 'portrait');
+      let y = margin;
+      pdf.setTextColor('#334155');
+      pdf.setFont('helvetica', 'bold');
+      pdf.setFontSize(14);
+      pdf.text(title, margin, y);
+      y += 24;
+      const max = Math.max(...items.map(valueOf), 1);
+      const labelWidth = 150;
+      const barMax = pageWidth() - margin * 2 - labelWidth - 70;
+      pdf.setFontSize(9);
+      items.forEach((item, idx) => {
+        if (y + 22 > pageHeight() - margin) {
+          pdf.addPage('letter', 'portrait');
+          y = margin;
+        }
+        pdf.setFont('helvetica', 'normal');
+        pdf.setTextColor('#475569');
+        pdf.text(pdf.splitTextToSize(item.key, labelWidth - 8)[0], margin, y + 12);
+        pdf.setFillColor('#f1f5f9');
+        pdf.rect(margin + labelWidth, y, barMax, 16, 'F');
+        pdf.setFillColor(chartColors[idx % chartColors.length]);
+        pdf.rect(margin + labelWidth, y, (valueOf(item) / max) * barMax, 16, 'F');
+        pdf.setFont('helvetica', 'bold');
+        pdf.setTextColor('#334155');
+        pdf.text(labelOf(item), margin + labelWidth + barMax + 6, y + 12);
+        y += 24;
+      });
+      if (!items.length) {
+        pdf.setFont('helvetica', 'normal');
+        pdf.text(`No data for ${period}`, margin, y);
+      }
+    };
+    barChart('Shipment Count by Company', [...byCompany].sort((a, b) => b.count - a.count), (c) => c.count, (c) => String(c.count));
+    barChart('Revenue Distribution by Company', byCompany, (c) => c.total, (c) =>
+      `${total > 0 ? ((c.total / total) * 100).toFixed(1) : '0.0'}%`
+    );
+
+    // --- Shipment list ---
+    pdf.addPage('letter', 'landscape');
+    pdf.setTextColor('#334155');
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(14);
+    pdf.text(`Shipments — ${period}`, margin, margin);
+    autoTable(pdf, {
+      startY: margin + 12,
+      margin: { left: margin, right: margin, top: margin },
+      head: [listColumns.map((c) => c.header)],
+      body: rows.map((s) => listColumns.map((c) =>
+        c.key === 'shippingCharge' ? formatMoney(s.shippingCharge) : c.key === 'status' ? statusOf(s) : String(s[c.key] ?? '')
+      )),
+      foot: [listColumns.map((c, i) =>
+        i === 0
+          ? `${rows.length} shipments${counted.length < rows.length ? ` (${counted.length} counted)` : ''}`
+          : c.key === 'shippingCharge' ? formatMoney(total) : ''
+      )],
+      showFoot: 'lastPage',
+      showHead: 'everyPage',
+      headStyles: { fillColor: '#1d4ed8' },
+      footStyles: { fillColor: '#e2e8f0', textColor: '#0f172a' },
+      alternateRowStyles: { fillColor: '#f8fafc' },
+      columnStyles: { [listColumns.findIndex((c) => c.key === 'shippingCharge')]: { halign: 'right' } },
+      styles: { fontSize: 8, cellPadding: 3 },
+    });
+
+    // Page numbers
+    const pages = pdf.getNumberOfPages();
+    for (let i = 1; i <= pages; i++) {
+      pdf.setPage(i);
+      pdf.setFont('helvetica', 'normal');
+      pdf.setFontSize(8);
+      pdf.setTextColor('#64748b');
+      pdf.text(`Freight Report — ${period}`, margin, pageHeight() - 20);
+      pdf.text(`Page ${i} of ${pages}`, pageWidth() - margin, pageHeight() - 20, { align: 'right' });
+    }
+
+    pdf.save(`freight-report-${selectedYear}-${selectedMonth}-${new Date().toISOString().split('T')[0]}.pdf`);
+  };
+
+  // ======== EXCEL/CSV IMPORT ========
+  // Validate one imported sheet row against the global lists
+  const buildImportRow = (raw, idx) => {
+    const issues = [];
+    const text = (key) => String(raw[key] ?? '').trim();
+    const matchOption = (value, options, label) => {
+      if (!value) return value;
+      const hit = options.find((o) => o.toLowerCase() === value.toLowerCase());
+      if (!hit) issues.push(`Unknown ${label} "${value}"`);
+      return hit || value;
+    };
+
+    const shipDate = normalizeImportDate(raw.shipDate);
+    if (shipDate === null) issues.push(`Bad ship date "${raw.shipDate}"`);
+    const returnDate = normalizeImportDate(raw.returnDate);
+    if (returnDate === null) issues.push(`Bad return date "${raw.returnDate}"`);
+    const shippingCharge = normalizeImportCharge(raw.shippingCharge);
+    if (shippingCharge === null) issues.push(`Non-numeric charge "${raw.shippingCharge}"`);
+
+    const shipment = {
+      id: Date.now() + idx,
+      refNum: text('refNum'),
+      shipDate: shipDate || '',
+      returnDate: returnDate || '',
+      location: matchOption(text('location'), locations, 'location'),
+      returnLocation: matchOption(text('returnLocation'), locations, 'return location'),
+      company: matchOption(text('company'), companies, 'company'),
+      shipMethod: matchOption(text('shipMethod'), SHIP_METHODS, 'ship method'),
+      status: matchOption(text('status'), SHIPMENT_STATUSES, 'status') || DEFAULT_STATUS,
+      shippingCharge: shippingCharge ?? 0,
+      po: text('po'),
+      agent: matchOption(text('agent'), agents, 'agent'),
+    };
+
+    // Optional charge breakdown; Days is recomputed from the dates on save
+    const amounts = {};
+    ['dailyRate', 'baseCharge', ...ACCESSORIALS.map((a) => a.key)].forEach((key) => {
+      if (String(raw[key] ?? '').trim() === '') return;
+      const n = normalizeImportCharge(raw[key]);
+      if (n === null) issues.push(`Non-numeric ${excelColumns.find((c) => c.key === key).header.toLowerCase()} "${raw[key]}"`);
+      else if (n) amounts[key] = n;
+    });
+    if (amounts.dailyRate && shipment.shipMethod !== 'Daily rate') {
+      issues.push('Rate / Day given but ship method is not "Daily rate"');
+      delete amounts.dailyRate;
+    }
+    if (amounts.dailyRate || ACCESSORIALS.some((a) => amounts[a.key])) {
+      Object.assign(shipment, amounts);
+      if (shipment.baseCharge == null && !amounts.dailyRate) {
+        shipment.baseCharge = round2(shipment.shippingCharge - accessorialTotal(shipment));
+      }
+    }
+    return { shipment, issues };
+  };
+
+  // Read the picked file, map headers to excelColumns and open the preview
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const wb = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+      const sheet = wb.Sheets[wb.SheetNames[0]];
+      const sheetRows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+
+      // Accept either the export header ("Reference #") or the field key ("refNum")
+      const headerToKey = {};
+      excelColumns.forEach(({ header, key }) => {
+        headerToKey[header.toLowerCase()] = key;
+        headerToKey[key.toLowerCase()] = key;
+      });
+
+      const rows = sheetRows
+        .map((r) => {
+          const mapped = {};
+          Object.entries(r).forEach(([h, v]) => {
+            const key = headerToKey[String(h).trim().toLowerCase()];
+            if (key) mapped[key] = v;
+          });
+          return mapped;
+        })
+        .filter((r) => Object.values(r).some((v) => String(v).trim() !== ''))
+        .map(buildImportRow);
+
+      if (!rows.length) {
+        alert(`No shipment rows found in "${file.name}". Check that the headers match the export columns.`);
+        return;
+      }
+      setImportMode('append');
+      setImportIncludeInvalid(false);
+      setImportPreview({ fileName: file.name, rows });
+    } catch (err) {
+      console.error('Failed to read import file:', err);
+      alert('Failed to read file. Use an .xlsx or .csv with the export column headers.');
+    }
+  };
+
+  const confirmImport = async () => {
+    if (!importPreview) return;
+    const accepted = importPreview.rows
+      .filter((r) => importIncludeInvalid || r.issues.length === 0)
+      .map((r) => r.shipment);
+    if (!accepted.length) {
+      alert('No valid rows to import.');
+      return;
+    }
+    if (
+      importMode === 'replace' &&
+      !window.confirm(`Replace all ${shipments.length} shipments in ${selectedMonth} ${selectedYear} with ${accepted.length} imported rows?`)
+    ) return;
+
+    const updatedShipments = importMode === 'replace' ? accepted : [...shipments, ...accepted];
+    setImportPreview(null);
+    await saveToFirebase(updatedShipments, { label: `Import ${importPreview.fileName}` });
+  };
+
+  // ======== Sorting / filtering ========
+  const filtersActive = Object.keys(EMPTY_FILTERS).some((k) => filters[k] !== EMPTY_FILTERS[k]);
+
+  // Rows as displayed: { shipment, index } where index points into `shipments`
+  const visibleRows = (() => {
+    const rows = shipments
+      .map((shipment, index) => ({ shipment, index }))
+      .filter((r) => matchesFilters(r.shipment, filters));
+    if (sortBy) rows.sort((a, b) => compareShipments(a.shipment, b.shipment, sortBy));
+    return rows;
+  })();
+
+  // Header click cycles: ascending → descending → unsorted
+  const handleSortClick = (key) => {
+    setSortBy((cur) => {
+      if (!cur || cur.key !== key) return { key, dir: 'asc' };
+      if (cur.dir === 'asc') return { key, dir: 'desc' };
+      return null;
+    });
+  };
+
+  const setFilter = (key, value) => setFilters((f) => ({ ...f, [key]: value }));
+
+  // Summary cards and charts can optionally follow the table filters
+  const summaryShipments = (filterSummaries && filtersActive
+    ? visibleRows.map((r) => r.shipment)
+    : shipments
+  ).filter(isCommitted);
+  const uncommittedCount = shipments.length - shipments.filter(isCommitted).length;
+
+  // ======== Year (YTD) analytics ========
+  const fetchYearMonths = async (year) => {
+    const months = {};
+    for (const month of MONTHS) {
+      // Seeded blank rows, trashed rows, quotes and cancellations are not real bookings
+      months[month] = (await readMonthShipments(year, month))
+        .filter((s) => !s.deleted && !isBlankShipment(s) && isCommitted(s));
+    }
+    return months;
+  };
+
+  const loadYearData = async (year) => {
+    setYearLoading(true);
+    try {
+      setYearData({ year, months: await fetchYearMonths(year) });
+    } catch (err) {
+      console.error('Error loading year data:', err);
+      alert('Failed to load year data. Please check your connection.');
+    } finally {
+      setYearLoading(false);
+    }
+  };
+
+  // Previous year, for the agent view's year-over-year comparisons
+  const loadPrevYearData = async (year) => {
+    if (!YEARS.includes(year)) return;
+    try {
+      setPrevYearData({ year, months: await fetchYearMonths(year) });
+    } catch (err) {
+      console.error('Error loading previous year data:', err);
+    }
+  };
+
+  useEffect(() => {
+    if (view === 'year' || view === 'agents' || view === 'lanes') loadYearData(selectedYear);
+    if (view === 'agents' && prevYearData?.year !== selectedYear - 1) loadPrevYearData(selectedYear - 1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [view, selectedYear]);
+
+  // ======== Validation ========
+  const validationIssues = validateShipments(shipments, {
+    companies, locations, agents, year: selectedYear, month: selectedMonth,
+  });
+
+  // Issues in on-screen order (rows as displayed, then column order)
+  const issueList = visibleRows.flatMap(({ shipment }) =>
+    GRID_COLUMNS
+      .map((c) => `${shipment.id}:${c.key}`)
+      .filter((key) => validationIssues[key])
+  );
+
+  const jumpToIssue = (step) => {
+    if (!issueList.length) return;
+    const cur = issueList.indexOf(activeIssueKey);
+    const next = issueList[(cur + step + issueList.length) % issueList.length];
+    setActiveIssueKey(next);
+    document.querySelector(`[data-cell="${next}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+  };
+
+  // ======== Summary calculations ========
+  const companySummary = summarizeBy(summaryShipments, (s) => s.company)
+    .map(({ key, ...data }) => ({ company: key, ...data }));
+
+  const totalCost = summaryShipments.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0);
+
+  // ======== Budget vs actual (always the whole month, regardless of filters) ========
+  const committedShipments = shipments.filter(isCommitted);
+  const monthSpend = committedShipments.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0);
+  const budgetTotal = Number(budget?.total || 0);
+  const budgetPct = budgetTotal > 0 ? (monthSpend / budgetTotal) * 100 : null;
+  const companyBudgets = budget?.companies || {};
+  const locationBudgets = budget?.locations || {};
+  const hasCompanyBudgets = Object.keys(companyBudgets).length > 0;
+  const companyActuals = Object.fromEntries(summarizeBy(committedShipments, (s) => s.company).map((c) => [c.key, c.total]));
+  const locationActuals = Object.fromEntries(summarizeBy(committedShipments, (s) => s.location).map((l) => [l.key, l.total]));
+  // Company table: budgeted companies are listed even without shipments this month
+  const companyTableRows = [
+    ...companySummary,
+    ...Object.keys(companyBudgets)
+      .filter((name) => !companySummary.some((c) => c.company === name))
+      .sort()
+      .map((company) => ({ company, count: 0, total: 0 })),
+  ];
+  const formatVariance = (actual, target) => `${actual > target ? '+' : '−'}${formatMoney(Math.abs(actual - target))}`;
+  const budgetLevel = (actual, target) => {
+    if (!(target > 0)) return null;
+    const pct = (actual / target) * 100;
+    return pct >= 100 ? 'over' : pct >= budgetAlertPct ? 'warn' : 'ok';
+  };
+  const BUDGET_COLORS = { ok: '#16a34a', warn: '#d97706', over: '#dc2626' };
+  const isBudgetAlert = (actual, target) => ['warn', 'over'].includes(budgetLevel(actual, target));
+  // Companies/locations at or past the alert threshold
+  const budgetAlerts = [
+    ...Object.entries(companyBudgets)
+      .filter(([name, target]) => isBudgetAlert(companyActuals[name] || 0, target))
+      .map(([name]) => name),
+    ...Object.entries(locationBudgets)
+      .filter(([name, target]) => isBudgetAlert(locationActuals[name] || 0, target))
+      .map(([name]) => name),
+  ];
+
+  const startBudgetEdit = () => {
+    const asText = (map) => Object.fromEntries(Object.entries(map || {}).map(([k, v]) => [k, String(v)]));
+    setBudgetDraft({
+      total: budget?.total != null ? String(budget.total) : '',
+      companies: asText(budget?.companies),
+      locations: asText(budget?.locations),
+      alertPct: String(budgetAlertPct),
+    });
+  };
+
+  const saveBudget = async () => {
+    if (!isAdmin || !budgetDraft) return;
+    const toAmounts = (map) => {
+      const out = {};
+      Object.entries(map).forEach(([k, v]) => {
+        if (String(v).trim() !== '' && !isNaN(Number(v))) out[k] = Number(v);
+      });
+      return out;
+    };
+    const alertPct = Number(budgetDraft.alertPct);
+    if (!(alertPct > 0 && alertPct <= 200)) {
+      alert('Alert threshold must be a percentage between 1 and 200.');
+      return;
+    }
+    if (budgetDraft.total.trim() !== '' && isNaN(Number(budgetDraft.total))) {
+      alert(`"${budgetDraft.total}" is not a valid budget amount.`);
+      return;
+    }
+    try {
+      await setDoc(budgetRef(selectedYear, selectedMonth), {
+        month: selectedMonth,
+        year: selectedYear,
+        total: budgetDraft.total.trim() === '' ? null : Number(budgetDraft.total),
+        companies: toAmounts(budgetDraft.companies),
+        locations: toAmounts(budgetDraft.locations),
+        updatedAt: new Date().toISOString(),
+        updatedBy: userLabel,
+      });
+      if (alertPct !== budgetAlertPct) {
+        await setDoc(doc(db, 'freight-config', 'global'), { budgetAlertPct: alertPct, updatedAt: new Date().toISOString() }, { merge: true });
+      }
+      setBudgetDraft(null);
+    } catch (e) {
+      console.error('Failed to save budget:', e);
+      alert('Failed to save budget. Check your permissions/rules.');
+    }
+  };
+
+  const renderBudgetBar = (actual, target, height = 8) => {
+    const level = budgetLevel(actual, target);
+    if (!level) return null;
+    return (
+      <div style={{ height, background: 'rgba(255,255,255,0.35)', borderRadius: height / 2, overflow: 'hidden' }}>
+        <div style={{ width: `${Math.min(100, (actual / target) * 100)}%`, height: '100%', background: level === 'ok' ? 'white' : BUDGET_COLORS[level] }} />
+      </div>
+    );
+  };
+
+  const renderBudgetEditor = () => {
+    const inputStyle = { padding: '4px 8px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', width: 110, textAlign: 'right' };
+    const setTarget = (group, name, value) =>
+      setBudgetDraft((d) => ({ ...d, [group]: { ...d[group], [name]: value } }));
+    const renderTargets = (title, group, names) => (
+      <div>
+        <h4 style={{ fontWeight: 'bold', fontSize: '12px', color: '#334155', marginBottom: '6px' }}>{title}</h4>
+        <table style={{ fontSize: '12px' }}>
+          <tbody>
+            {names.map((name) => (
+              <tr key={name}>
+                <td style={{ padding: '2px 8px 2px 0' }}>{name}</td>
+                <td style={{ padding: '2px 0' }}>
+                  <input type="number" step="0.01" min="0" value={budgetDraft[group][name] ?? ''} placeholder="—" onChange={(e) => setTarget(group, name, e.target.value)} style={inputStyle} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+
+    return (
+      <div style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px', marginBottom: '24px' }}>
+        <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '12px', color: '#334155' }}>Budget — {selectedMonth} {selectedYear}</h3>
+        <div style={{ display: 'flex', gap: '16px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '12px', fontSize: '12px' }}>
+          <label style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+            Monthly budget $
+            <input type="number" step="0.01" min="0" value={budgetDraft.total} onChange={(e) => setBudgetDraft((d) => ({ ...d, total: e.target.value }))} style={inputStyle} />
+          </label>
+          <label style={{ display: 'flex', gap: '6px', alignItems: 'center' }} title="Applies to every month">
+            Warn at
+            <input type="number" step="1" min="1" max="200" value={budgetDraft.alertPct} onChange={(e) => setBudgetDraft((d) => ({ ...d, alertPct: e.target.value }))} style={{ ...inputStyle, width: 70 }} />
+            % of budget
+          </label>
+        </div>
+        <div style={{ display: 'flex', gap: '32px', flexWrap: 'wrap', marginBottom: '12px' }}>
+          {renderTargets('Per company (optional)', 'companies', sortNames([...new Set([...activeCompanies, ...Object.keys(budgetDraft.companies)])]))}
+          {renderTargets('Per origin location (optional)', 'locations', sortNames([...new Set([...activeLocations, ...Object.keys(budgetDraft.locations)])]))}
+        </div>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            onClick={saveBudget}
+            style={{ padding: '8px 16px', background: '#1d4ed8', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+          >
+            Save budget
+          </button>
+          <button
+            onClick={() => setBudgetDraft(null)}
+            style={{ padding: '8px 16px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  };
+  const maxCount = Math.max(...companySummary.map((c) => c.count), 1);
+  const chartColors = [
+    '#3b82f6', '#8b5cf6', '#ec4899', '#f59e0b', '#10b981',
+    '#06b6d4', '#6366f1', '#f97316', '#14b8a6', '#f43f5e',
+  ];
+
+  // ======== Render helpers ========
+  const renderStatusPill = (s) => {
+    const status = statusOf(s);
+    return (
+      <span style={{ display: 'inline-block', padding: '1px 8px', borderRadius: '9999px', fontSize: '11px', fontWeight: '600', whiteSpace: 'nowrap', color: STATUS_COLORS[status].fg, background: STATUS_COLORS[status].bg }}>
+        {status}
+      </span>
+    );
+  };
+
+  const renderCell = (rowIndex, field, value) => {
+    const isEditing = editingCell?.rowIndex === rowIndex && editingCell?.field === field;
+    const isNumeric = field === 'shippingCharge';
+    const hasAutocomplete =
+      field === 'company' ||
+      field === 'agent' ||
+      field === 'location' ||
+      field === 'returnLocation' ||
+      field === 'shipMethod' ||
+      field === 'status';
+
+    if (isEditing) {
+      // An empty charge offers the rate card amount; it is only used if accepted
+      const suggestion = isNumeric && !Number(value) ? expectedChargeFor(shipments[rowIndex]) : null;
+      return (
+        <div style={{ position: 'relative' }}>
+          <input
+            ref={inputRef}
+            type={isNumeric ? 'number' : field.includes('Date') ? 'date' : 'text'}
+            value={editValue}
+            placeholder={suggestion != null ? `suggested ${suggestion.toFixed(2)}` : undefined}
+            onChange={handleCellChange}
+            onBlur={handleCellBlur}
+            onKeyDown={(e) => handleKeyDown(e, rowIndex, field)}
+            style={{
+              width: '100%',
+              padding: '4px 8px',
+              border: '2px solid #3b82f6',
+              outline: 'none',
+              fontSize: '12px',
+            }}
+            step={isNumeric ? '0.01' : undefined}
+            autoComplete="off"
+          />
+          {suggestion != null && !Number(editValue) && (
+            <button
+              // Keep focus in the input so the blur-save doesn't fire first
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => { setEditValue(String(suggestion)); inputRef.current?.focus(); }}
+              title="Use the carrier's rate card charge"
+              style={{ position: 'absolute', right: '4px', top: '50%', transform: 'translateY(-50%)', padding: '1px 6px', background: '#dbeafe', color: '#1d4ed8', border: '1px solid #93c5fd', borderRadius: '4px', fontSize: '10px', fontWeight: '600', cursor: 'pointer' }}
+            >
+              Use ${suggestion.toFixed(2)}
+            </button>
+          )}
+          {hasAutocomplete && showDropdown && filteredOptions.length > 0 && dropdownRect &&
+            createPortal(
+              <div
+                style={{
+                  position: 'fixed',
+                  zIndex: 9999,
+                  top: dropdownRect.top,
+                  left: dropdownRect.left,
+                  width: dropdownRect.width,
+                  maxHeight: dropdownRect.height,
+                  overflowY: 'auto',
+                  background: 'white',
+                  border: '1px solid #cbd5e1',
+                  borderRadius: 8,
+                  boxShadow: '0 12px 24px rgba(0,0,0,0.18)',
+                }}
+              >
+                {filteredOptions.map((option, idx) => (
+                  <div
+                    key={idx}
+                    onMouseDown={() => handleSelectOption(option)}
+                    style={{ padding: '10px 12px', fontSize: 13, cursor: 'pointer' }}
+                    onMouseEnter={(e) => (e.currentTarget.style.background = '#eef2ff')}
+                    onMouseLeave={(e) => (e.currentTarget.style.background = 'white')}
+                  >
+                    {option}
+                  </div>
+                ))}
+              </div>,
+              document.body
+            )}
+        </div>
+      );
+    }
+
+    // Charges: suggest the rate card when empty, flag deviations from it
+    const row = shipments[rowIndex];
+    const expected = isNumeric && row ? expectedChargeFor(row) : null;
+    const deviation = isNumeric && row ? rateDeviationFor(row) : null;
+    // Validation issues take precedence over rate-card warnings
+    const cellKey = row ? `${row.id}:${field}` : null;
+    const issues = cellKey ? validationIssues[cellKey] : null;
+    const isActiveIssue = cellKey && cellKey === activeIssueKey;
+    const cellBg = issues ? '#fef2f2' : deviation ? '#fff7ed' : 'transparent';
+    const cellTitle = issues
+      ? issues.join('\n')
+      : deviation
+      ? `Rate card: $${deviation.expected.toFixed(2)} (${deviation.pct > 0 ? '+' : ''}${(deviation.pct * 100).toFixed(1)}%)`
+      : field === 'status' && row
+      ? statusHistoryText(row)
+      : undefined;
+
+    return (
+      <div
+        onClick={(e) => handleGridClick(e, rowIndex, field)}
+        onDoubleClick={() => handleCellClick(rowIndex, field)}
+        title={cellTitle}
+        data-cell={cellKey || undefined}
+        style={{
+          width: '100%',
+          minHeight: '24px',
+          padding: '4px 8px',
+          cursor: 'cell',
+          fontSize: '12px',
+          background: cellBg,
+          color: issues ? '#b91c1c' : deviation ? '#c2410c' : undefined,
+          fontWeight: issues || deviation ? '600' : undefined,
+          boxShadow: issues ? `inset ${isActiveIssue ? '0 0 0 2px' : '3px 0 0 0'} #ef4444` : undefined,
+        }}
+        onMouseEnter={(e) => (e.currentTarget.style.background = '#eff6ff')}
+        onMouseLeave={(e) => (e.currentTarget.style.background = cellBg)}
       >
-        {isNumeric && value ? `$${Number(value).toFixed(2)}` : value || ''}
+        {field === 'status' && row && !issues
+          ? renderStatusPill(row)
+          : isNumeric && row && hasItemizedCharge(row)
+          ? (() => {
+            const b = chargeBreakdown(row);
+            const parts = [
+              usesDailyRate(row) ? `${b.days ?? '?'}d × $${Number(row.dailyRate).toFixed(2)}` : null,
+              b.accessorials ? `+ $${b.accessorials.toFixed(2)} extras` : null,
+            ].filter(Boolean);
+            return (
+              <>
+                {`$${Number(value || 0).toFixed(2)}${deviation ? ' ⚠️' : ''}`}
+                {parts.length > 0 && <div style={{ fontSize: '10px', color: '#64748b', fontWeight: 'normal' }}>{parts.join(' ')}</div>}
+              </>
+            );
+          })()
+          : isNumeric && value
+          ? `$${Number(value).toFixed(2)}${deviation ? ' ⚠️' : ''}`
+          : isNumeric && expected != null
+          ? <span style={{ color: '#94a3b8', fontStyle: 'italic' }}>suggested ${expected.toFixed(2)}</span>
+          : value || ''}
       </div>
     );
   };
 
+  const renderYearView = () => {
+    if (!yearData || yearData.year !== selectedYear) {
+      return (
+        <p style={{ fontSize: '14px', color: '#64748b', textAlign: 'center', padding: '40px' }}>
+          {yearLoading ? `Loading ${selectedYear}…` : `No data loaded for ${selectedYear}.`}
+        </p>
+      );
+    }
+
+    const allRows = MONTHS.flatMap((m) => yearData.months[m]);
+    const ytdTotal = allRows.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0);
+    const byCompany = summarizeBy(allRows, (s) => s.company);
+    const byAgent = summarizeBy(allRows, (s) => s.agent);
+    const byLocation = summarizeBy(allRows, (s) => s.location);
+
+    const monthly = MONTHS.map((month, i) => {
+      const rows = yearData.months[month];
+      const total = rows.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0);
+      return { month, index: i, count: rows.length, total };
+    });
+    const maxMonthTotal = Math.max(...monthly.map((m) => m.total), 1);
+    const maxMonthCount = Math.max(...monthly.map((m) => m.count), 1);
+
+    const delta = (cur, prev) => {
+      if (prev == null) return null;
+      const diff = cur - prev;
+      const pct = prev !== 0 ? (diff / prev) * 100 : null;
+      return { diff, pct };
+    };
+    const renderDelta = (d, money) => {
+      if (!d) return <span style={{ color: '#94a3b8' }}>—</span>;
+      const color = d.diff > 0 ? '#16a34a' : d.diff < 0 ? '#dc2626' : '#64748b';
+      const arrow = d.diff > 0 ? '▲' : d.diff < 0 ? '▼' : '•';
+      const amount = money ? formatMoney(Math.abs(d.diff)) : Math.abs(d.diff);
+      return (
+        <span style={{ color, fontWeight: '600' }}>
+          {arrow} {amount}{d.pct != null && ` (${d.pct > 0 ? '+' : ''}${d.pct.toFixed(1)}%)`}
+        </span>
+      );
+    };
+
+    const panelStyle = { background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px' };
+    const headingStyle = { fontWeight: 'bold', fontSize: '14px', marginBottom: '12px', color: '#334155' };
+
+    const renderBreakdown = (title, keyLabel, rows) => (
+      <div style={panelStyle}>
+        <h3 style={headingStyle}>{title}</h3>
+        {rows.length > 0 ? (
+          <table style={{ width: '100%', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
+                <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>{keyLabel}</th>
+                <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Shipments</th>
+                <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>YTD Total</th>
+                <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Share</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.key} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                  <td style={{ padding: '4px' }}>{r.key}</td>
+                  <td style={{ textAlign: 'right', padding: '4px' }}>{r.count}</td>
+                  <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(r.total)}</td>
+                  <td style={{ textAlign: 'right', padding: '4px', color: '#64748b' }}>{ytdTotal > 0 ? ((r.total / ytdTotal) * 100).toFixed(1) : '0.0'}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No data for {selectedYear}</p>
+        )}
+      </div>
+    );
+
+    return (
+      <>
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '8px' }}>
+          <button
+            onClick={() => loadYearData(selectedYear)}
+            disabled={yearLoading}
+            style={{ padding: '6px 12px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', fontWeight: '600', cursor: 'pointer' }}
+          >
+            {yearLoading ? 'Refreshing…' : '⟳ Refresh'}
+          </button>
+        </div>
+
+        {/* YTD cards */}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px', marginBottom: '24px' }}>
+          <div style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+            <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>{selectedYear} YTD Revenue</div>
+            <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{formatMoney(ytdTotal)}</div>
+          </div>
+          <div style={{ background: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+            <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>YTD Shipments</div>
+            <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{allRows.length}</div>
+          </div>
+          <div style={{ background: 'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+            <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Active Companies</div>
+            <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{byCompany.length}</div>
+          </div>
+          <div style={{ background: 'linear-gradient(135deg, #43e97b 0%, #38f9d7 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+            <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Avg Per Shipment</div>
+            <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{formatMoney(allRows.length ? ytdTotal / allRows.length : 0)}</div>
+          </div>
+        </div>
+
+        {/* Month-over-month trends */}
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
+          <div style={panelStyle}>
+            <h3 style={headingStyle}>Revenue by Month</h3>
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '6px', height: '200px' }}>
+              {monthly.map((m) => (
+                <div key={m.month} style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', height: '100%', justifyContent: 'flex-end' }} title={`${m.month}: ${formatMoney(m.total)}`}>
+                  <div style={{ width: '100%', height: `${(m.total / maxMonthTotal) * 85}%`, background: chartColors[0], borderRadius: '4px 4px 0 0', transition: 'height 0.3s ease' }} />
+                  <div style={{ fontSize: '10px', color: '#64748b', marginTop: '4px' }}>{m.month.slice(0, 3)}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+          <div style={panelStyle}>
+            <h3 style={headingStyle}>Shipments by Month</h3>
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '6px', height: '200px' }}>
+              {monthly.map((m) => (
+                <div key={m.month} style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', height: '100%', justifyContent: 'flex-end' }} title={`${m.month}: ${m.count} shipments`}>
+                  <div style={{ width: '100%', height: `${(m.count / maxMonthCount) * 85}%`, background: chartColors[1], borderRadius: '4px 4px 0 0', transition: 'height 0.3s ease' }} />
+                  <div style={{ fontSize: '10px', color: '#64748b', marginTop: '4px' }}>{m.month.slice(0, 3)}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Month-over-month table */}
+        <div style={{ ...panelStyle, marginBottom: '24px' }}>
+          <h3 style={headingStyle}>Month over Month — {selectedYear}</h3>
+          <table style={{ width: '100%', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
+                <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Month</th>
+                <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Shipments</th>
+                <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Δ Shipments</th>
+                <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Revenue</th>
+                <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Δ Revenue</th>
+                <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Running YTD</th>
+              </tr>
+            </thead>
+            <tbody>
+              {monthly.map((m, i) => {
+                const prev = i > 0 ? monthly[i - 1] : null;
+                const running = monthly.slice(0, i + 1).reduce((sum, x) => sum + x.total, 0);
+                return (
+                  <tr
+                    key={m.month}
+                    onClick={() => { handleMonthChange(m.month); setView('month'); }}
+                    title={`Open ${m.month} ${selectedYear}`}
+                    style={{ borderBottom: '1px solid #f1f5f9', cursor: 'pointer' }}
+                  >
+                    <td style={{ padding: '4px', fontWeight: '600', color: '#1d4ed8' }}>{m.month}</td>
+                    <td style={{ textAlign: 'right', padding: '4px' }}>{m.count}</td>
+                    <td style={{ textAlign: 'right', padding: '4px' }}>{renderDelta(prev && delta(m.count, prev.count), false)}</td>
+                    <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(m.total)}</td>
+                    <td style={{ textAlign: 'right', padding: '4px' }}>{renderDelta(prev && delta(m.total, prev.total), true)}</td>
+                    <td style={{ textAlign: 'right', padding: '4px', color: '#64748b' }}>{formatMoney(running)}</td>
+                  </tr>
+                );
+              })}
+              <tr style={{ fontWeight: 'bold', borderTop: '2px solid #cbd5e1' }}>
+                <td style={{ padding: '4px' }}>Total</td>
+                <td style={{ textAlign: 'right', padding: '4px' }}>{allRows.length}</td>
+                <td />
+                <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(ytdTotal)}</td>
+                <td />
+                <td />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        {/* YTD breakdowns */}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '16px', marginBottom: '24px' }}>
+          {renderBreakdown('YTD by Company', 'Company', byCompany)}
+          {renderBreakdown('YTD by Agent', 'Agent', byAgent)}
+          {renderBreakdown('YTD by Location', 'Location', byLocation)}
+        </div>
+      </>
+    );
+  };
+
+  // ======== Agent performance & commissions ========
+  // Months covered by the month/YTD toggle (shared with the lane view)
+  const analysisPeriodMonths = () => (analysisPeriod === 'ytd'
+    ? MONTHS.slice(0, MONTHS.indexOf(selectedMonth) + 1)
+    : [selectedMonth]);
+  const renderPeriodToggle = () => (
+    <div style={{ display: 'flex', border: '1px solid #cbd5e1', borderRadius: '6px', overflow: 'hidden' }}>
+      {[
+        { key: 'month', label: selectedMonth },
+        { key: 'ytd', label: `YTD ${selectedYear}` },
+      ].map((p) => (
+        <button
+          key={p.key}
+          onClick={() => setAnalysisPeriod(p.key)}
+          style={{ padding: '6px 12px', background: analysisPeriod === p.key ? '#1d4ed8' : 'white', color: analysisPeriod === p.key ? 'white' : '#334155', border: 'none', fontSize: '12px', fontWeight: '600', cursor: 'pointer' }}
+        >
+          {p.label}
+        </button>
+      ))}
+    </div>
+  );
+  // Rows of yearData/prevYearData for a set of months ([] when not loaded)
+  const rowsForMonths = (data, months) => (data ? months.flatMap((m) => data.months[m] || []) : []);
+  const commissionRate = (agent) => Number(agentCommissions[agent] || 0);
+
+  // Commission statement: summary sheet with formulas + one sheet of bookings per agent
+  const exportCommissionExcel = async () => {
+    if (!yearData) return;
+    const months = analysisPeriodMonths();
+    const periodLabel = analysisPeriod === 'ytd' ? `January–${selectedMonth} ${selectedYear}` : `${selectedMonth} ${selectedYear}`;
+    const rows = months.flatMap((m) => (yearData.months[m] || []).map((s) => ({ ...s, month: m })));
+    const byAgent = summarizeBy(rows, (s) => s.agent);
+
+    const wb = new ExcelJS.Workbook();
+    const summary = wb.addWorksheet('Commission Summary', { views: [{ state: 'frozen', ySplit: 3 }] });
+    summary.getCell('A1').value = `Commission statement — ${periodLabel}`;
+    summary.getCell('A1').font = { bold: true, size: 14 };
+    summary.getRow(3).values = ['Agent', 'Bookings', 'Total Charges', 'Commission %', 'Commission'];
+    summary.getRow(3).font = { bold: true };
+    [28, 12, 16, 14, 16].forEach((w, i) => { summary.getColumn(i + 1).width = w; });
+
+    // Sheet names are capped at 31 characters and must be unique ignoring case,
+    // so agents whose names only differ past that point get a " (2)" suffix
+    const usedNames = new Set(['commission summary']);
+    const agentSheetName = (agent) => {
+      const base = agent.replace(/[\\/?*[\]:]/g, ' ').trim() || 'Agent';
+      let name = base.slice(0, 31);
+      for (let n = 2; usedNames.has(name.toLowerCase()); n += 1) {
+        const suffix = ` (${n})`;
+        name = base.slice(0, 31 - suffix.length).trimEnd() + suffix;
+      }
+      usedNames.add(name.toLowerCase());
+      return name;
+    };
+
+    byAgent.forEach((a, i) => {
+      const r = 4 + i;
+      const sheetName = agentSheetName(a.key);
+      const rate = commissionRate(a.key);
+      summary.getRow(r).values = [
+        a.key,
+        a.count,
+        a.total,
+        rate / 100,
+        { formula: `C${r}*D${r}`, result: (a.total * rate) / 100 },
+      ];
+
+      // Per-agent statement
+      const sheet = wb.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+      sheet.columns = [
+        { header: 'Month', key: 'month', width: 12 },
+        { header: 'Reference #', key: 'refNum', width: 16 },
+        { header: 'Ship Date', key: 'shipDate', width: 12 },
+        { header: 'Company', key: 'company', width: 24 },
+        { header: 'Ship Method', key: 'shipMethod', width: 16 },
+        { header: 'Charges', key: 'shippingCharge', width: 14 },
+        { header: 'Commission', key: 'commission', width: 14 },
+      ];
+      sheet.getRow(1).font = { bold: true };
+      const agentRows = rows.filter((s) => (s.agent || '(Unassigned)') === a.key);
+      agentRows.forEach((s, j) => {
+        const charge = Number(s.shippingCharge || 0);
+        sheet.addRow({
+          month: s.month,
+          refNum: s.refNum || '',
+          shipDate: s.shipDate || '',
+          company: s.company || '',
+          shipMethod: s.shipMethod || '',
+          shippingCharge: charge,
+          commission: { formula: `F${j + 2}*'Commission Summary'!$D$${r}`, result: (charge * rate) / 100 },
+        });
+      });
+      const last = agentRows.length + 1;
+      const totalRow = sheet.addRow({
+        month: 'Total',
+        shippingCharge: { formula: `SUM(F2:F${last})`, result: a.total },
+        commission: { formula: `SUM(G2:G${last})`, result: (a.total * rate) / 100 },
+      });
+      totalRow.font = { bold: true };
+      sheet.getColumn('shippingCharge').numFmt = '$#,##0.00';
+      sheet.getColumn('commission').numFmt = '$#,##0.00';
+      sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: 7 } };
+    });
+
+    const last = 3 + byAgent.length;
+    const totals = summary.getRow(last + 1);
+    totals.values = [
+      'Total',
+      { formula: `SUM(B4:B${last})`, result: rows.length },
+      { formula: `SUM(C4:C${last})`, result: byAgent.reduce((t, a) => t + a.total, 0) },
+      null,
+      { formula: `SUM(E4:E${last})`, result: byAgent.reduce((t, a) => t + (a.total * commissionRate(a.key)) / 100, 0) },
+    ];
+    totals.font = { bold: true };
+    summary.getColumn(3).numFmt = '$#,##0.00';
+    summary.getColumn(4).numFmt = '0.00%';
+    summary.getColumn(5).numFmt = '$#,##0.00';
+
+    const buf = await wb.xlsx.writeBuffer();
+    downloadBlob(new Blob([buf], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+      `commissions-${selectedYear}-${analysisPeriod === 'ytd' ? `ytd-${selectedMonth}` : selectedMonth}.xlsx`
+    );
+  };
+
+  const renderAgentView = () => {
+    if (!yearData || yearData.year !== selectedYear) {
+      return (
+        <p style={{ fontSize: '14px', color: '#64748b', textAlign: 'center', padding: '40px' }}>
+          {yearLoading ? `Loading ${selectedYear}…` : `No data loaded for ${selectedYear}.`}
+        </p>
+      );
+    }
+
+    const monthIdx = MONTHS.indexOf(selectedMonth);
+    const months = analysisPeriodMonths();
+    const periodLabel = analysisPeriod === 'ytd' ? `YTD through ${selectedMonth}` : `${selectedMonth} ${selectedYear}`;
+    const lastYear = prevYearData && prevYearData.year === selectedYear - 1 ? prevYearData : null;
+
+    // Comparison period: previous month (December of last year for January), or same YTD last year
+    const compareRows = analysisPeriod === 'ytd'
+      ? rowsForMonths(lastYear, months)
+      : monthIdx > 0
+      ? rowsForMonths(yearData, [MONTHS[monthIdx - 1]])
+      : rowsForMonths(lastYear, ['December']);
+    const compareLabel = analysisPeriod === 'ytd' ? `vs ${selectedYear - 1}` : 'vs prev month';
+    const hasCompare = analysisPeriod === 'ytd' ? !!lastYear : monthIdx > 0 || !!lastYear;
+
+    const rows = rowsForMonths(yearData, months);
+    const byAgent = summarizeBy(rows, (s) => s.agent);
+    const compareByAgent = Object.fromEntries(summarizeBy(compareRows, (s) => s.agent).map((a) => [a.key, a]));
+    const periodTotal = rows.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0);
+    const totalCommission = byAgent.reduce((sum, a) => sum + (a.total * commissionRate(a.key)) / 100, 0);
+
+    const focus = agentFocus && byAgent.some((a) => a.key === agentFocus) ? agentFocus : byAgent[0]?.key || '';
+    const focusRows = rows.filter((s) => (s.agent || '(Unassigned)') === focus);
+    const focusTotal = focusRows.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0);
+    const focusMonthly = MONTHS.map((m) => {
+      const list = (yearData.months[m] || []).filter((s) => (s.agent || '(Unassigned)') === focus);
+      return { month: m, count: list.length, total: list.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0) };
+    });
+    const maxFocusMonth = Math.max(...focusMonthly.map((m) => m.total), 1);
+
+    const panelStyle = { background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px' };
+    const headingStyle = { fontWeight: 'bold', fontSize: '14px', marginBottom: '12px', color: '#334155' };
+    const renderChange = (cur, prev) => {
+      if (!hasCompare) return <span style={{ color: '#94a3b8' }}>—</span>;
+      const diff = cur - (prev || 0);
+      const color = diff > 0 ? '#16a34a' : diff < 0 ? '#dc2626' : '#64748b';
+      const arrow = diff > 0 ? '▲' : diff < 0 ? '▼' : '•';
+      return (
+        <span style={{ color, fontWeight: '600' }}>
+          {arrow} {formatMoney(Math.abs(diff))}{prev ? ` (${diff > 0 ? '+' : ''}${((diff / prev) * 100).toFixed(1)}%)` : ''}
+        </span>
+      );
+    };
+    const renderMix = (title, mix) => (
+      <div style={panelStyle}>
+        <h3 style={headingStyle}>{title}</h3>
+        {mix.length > 0 ? (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            {mix.map((m, idx) => (
+              <div key={m.key}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', marginBottom: '2px' }}>
+                  <span style={{ fontWeight: '600', color: '#475569' }}>{m.key}</span>
+                  <span style={{ color: '#64748b' }}>{m.count} · {formatMoney(m.total)} · {focusTotal > 0 ? ((m.total / focusTotal) * 100).toFixed(1) : '0.0'}%</span>
+                </div>
+                <div style={{ height: '10px', background: '#f1f5f9', borderRadius: '5px', overflow: 'hidden' }}>
+                  <div style={{ width: `${focusTotal > 0 ? (m.total / focusTotal) * 100 : 0}%`, height: '100%', background: chartColors[idx % chartColors.length] }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No bookings for {focus || 'this agent'} in {periodLabel}</p>
+        )}
+      </div>
+    );
+
+    return (
+      <>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', justifyContent: 'flex-end', marginBottom: '8px', flexWrap: 'wrap' }}>
+          {renderPeriodToggle()}
+          <button
+            onClick={exportCommissionExcel}
+            style={{ padding: '6px 12px', background: '#166534', color: 'white', border: 'none', borderRadius: '6px', fontSize: '12px', fontWeight: '600', cursor: 'pointer' }}
+          >
+            ⬇️ Commission statement (Excel)
+          </button>
+          <button
+            onClick={() => { loadYearData(selectedYear); loadPrevYearData(selectedYear - 1); }}
+            disabled={yearLoading}
+            style={{ padding: '6px 12px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', fontWeight: '600', cursor: 'pointer' }}
+          >
+            {yearLoading ? 'Refreshing…' : '⟳ Refresh'}
+          </button>
+        </div>
+
+        {/* Agent table */}
+        <div style={{ ...panelStyle, marginBottom: '24px' }}>
+          <h3 style={headingStyle}>Agent Performance — {periodLabel}</h3>
+          {byAgent.length > 0 ? (
+            <table style={{ width: '100%', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Agent</th>
+                  <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Bookings</th>
+                  <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Total Charges</th>
+                  <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Avg Charge</th>
+                  <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>{compareLabel}</th>
+                  <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Commission %</th>
+                  <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Commission</th>
+                </tr>
+              </thead>
+              <tbody>
+                {byAgent.map((a) => (
+                  <tr
+                    key={a.key}
+                    onClick={() => setAgentFocus(a.key)}
+                    style={{ borderBottom: '1px solid #f1f5f9', cursor: 'pointer', background: a.key === focus ? '#eff6ff' : undefined }}
+                  >
+                    <td style={{ padding: '4px', fontWeight: '600', color: '#1d4ed8' }}>{a.key}</td>
+                    <td style={{ textAlign: 'right', padding: '4px' }}>{a.count}</td>
+                    <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(a.total)}</td>
+                    <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(a.count ? a.total / a.count : 0)}</td>
+                    <td style={{ textAlign: 'right', padding: '4px' }}>{renderChange(a.total, compareByAgent[a.key]?.total)}</td>
+                    <td style={{ textAlign: 'right', padding: '4px' }} onClick={(e) => e.stopPropagation()}>
+                      {isAdmin && a.key !== '(Unassigned)' ? (
+                        <input
+                          key={`${a.key}:${agentCommissions[a.key] ?? ''}`}
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          max="100"
+                          defaultValue={agentCommissions[a.key] ?? ''}
+                          placeholder="0"
+                          onBlur={(e) => saveAgentCommission(a.key, e.target.value)}
+                          style={{ width: 70, padding: '2px 6px', border: '1px solid #cbd5e1', borderRadius: '4px', fontSize: '12px', textAlign: 'right' }}
+                        />
+                      ) : (
+                        `${commissionRate(a.key)}%`
+                      )}
+                    </td>
+                    <td style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>{formatMoney((a.total * commissionRate(a.key)) / 100)}</td>
+                  </tr>
+                ))}
+                <tr style={{ fontWeight: 'bold', borderTop: '2px solid #cbd5e1' }}>
+                  <td style={{ padding: '4px' }}>Total</td>
+                  <td style={{ textAlign: 'right', padding: '4px' }}>{rows.length}</td>
+                  <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(periodTotal)}</td>
+                  <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(rows.length ? periodTotal / rows.length : 0)}</td>
+                  <td style={{ textAlign: 'right', padding: '4px' }}>{renderChange(periodTotal, compareRows.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0))}</td>
+                  <td />
+                  <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(totalCommission)}</td>
+                </tr>
+              </tbody>
+            </table>
+          ) : (
+            <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No bookings in {periodLabel}</p>
+          )}
+        </div>
+
+        {/* Focused agent */}
+        {focus && (
+          <>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '12px' }}>
+              <h3 style={{ fontWeight: 'bold', fontSize: '16px', color: '#0f172a' }}>👤 {focus}</h3>
+              <select
+                value={focus}
+                onChange={(e) => setAgentFocus(e.target.value)}
+                style={{ padding: '4px 8px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px' }}
+              >
+                {byAgent.map((a) => <option key={a.key} value={a.key}>{a.key}</option>)}
+              </select>
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '16px', marginBottom: '24px' }}>
+              {renderMix(`Company mix — ${periodLabel}`, summarizeBy(focusRows, (s) => s.company))}
+              {renderMix(`Ship method mix — ${periodLabel}`, summarizeBy(focusRows, (s) => s.shipMethod))}
+              <div style={panelStyle}>
+                <h3 style={headingStyle}>Charges by Month — {selectedYear}</h3>
+                <div style={{ display: 'flex', alignItems: 'flex-end', gap: '4px', height: '160px' }}>
+                  {focusMonthly.map((m) => (
+                    <div key={m.month} style={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', height: '100%', justifyContent: 'flex-end' }} title={`${m.month}: ${m.count} bookings, ${formatMoney(m.total)}`}>
+                      <div style={{ width: '100%', height: `${(m.total / maxFocusMonth) * 85}%`, background: m.month === selectedMonth ? chartColors[2] : chartColors[0], borderRadius: '4px 4px 0 0' }} />
+                      <div style={{ fontSize: '10px', color: '#64748b', marginTop: '4px' }}>{m.month.slice(0, 3)}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </>
+    );
+  };
+
+  // ======== Lane analysis (origin × return location) ========
+  const NO_RETURN = '(no return)';
+
+  const renderLaneView = () => {
+    if (!yearData || yearData.year !== selectedYear) {
+      return (
+        <p style={{ fontSize: '14px', color: '#64748b', textAlign: 'center', padding: '40px' }}>
+          {yearLoading ? `Loading ${selectedYear}…` : `No data loaded for ${selectedYear}.`}
+        </p>
+      );
+    }
+
+    const periodLabel = analysisPeriod === 'ytd' ? `YTD through ${selectedMonth}` : `${selectedMonth} ${selectedYear}`;
+    const rows = rowsForMonths(yearData, analysisPeriodMonths());
+    const charge = (s) => Number(s.shippingCharge || 0);
+    const periodTotal = rows.reduce((sum, s) => sum + charge(s), 0);
+
+    // Matrix cells keyed "origin|return"
+    const cells = {};
+    rows.forEach((s) => {
+      const key = `${s.location || '(Unassigned)'}|${s.returnLocation || NO_RETURN}`;
+      if (!cells[key]) cells[key] = { count: 0, total: 0 };
+      cells[key].count += 1;
+      cells[key].total += charge(s);
+    });
+    const origins = summarizeBy(rows, (s) => s.location);
+    const returns = summarizeBy(rows, (s) => s.returnLocation || NO_RETURN);
+    const maxCell = Math.max(...Object.values(cells).map((c) => c.total), 1);
+
+    const topLanes = Object.entries(cells)
+      .map(([key, c]) => {
+        const [origin, ret] = key.split('|');
+        return { origin, ret, ...c };
+      })
+      .sort((a, b) => b.total - a.total)
+      .slice(0, 10);
+
+    // Trip type split per origin branch
+    const splitByOrigin = origins.map((o) => {
+      const list = rows.filter((s) => (s.location || '(Unassigned)') === o.key);
+      const byMethod = {};
+      SHIP_METHODS.forEach((m) => {
+        const mRows = list.filter((s) => s.shipMethod === m);
+        byMethod[m] = { count: mRows.length, total: mRows.reduce((sum, s) => sum + charge(s), 0) };
+      });
+      return { ...o, byMethod };
+    });
+
+    // Spend per origin per month (whole year)
+    const originTrend = summarizeBy(MONTHS.flatMap((m) => yearData.months[m] || []), (s) => s.location).map((o) => ({
+      key: o.key,
+      total: o.total,
+      months: MONTHS.map((m) => (yearData.months[m] || [])
+        .filter((s) => (s.location || '(Unassigned)') === o.key)
+        .reduce((sum, s) => sum + charge(s), 0)),
+    }));
+    const maxTrendCell = Math.max(...originTrend.flatMap((o) => o.months), 1);
+
+    const panelStyle = { background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px' };
+    const headingStyle = { fontWeight: 'bold', fontSize: '14px', marginBottom: '12px', color: '#334155' };
+    const th = { border: '1px solid #e2e8f0', padding: '4px 6px', fontWeight: '600', background: '#f8fafc', fontSize: '11px' };
+    const td = { border: '1px solid #e2e8f0', padding: '4px 6px', textAlign: 'right', fontSize: '11px' };
+    // Blue intensity scales with spend
+    const heat = (value, max) => (value > 0 ? `rgba(37, 99, 235, ${0.08 + (value / max) * 0.6})` : undefined);
+
+    return (
+      <>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', justifyContent: 'flex-end', marginBottom: '8px' }}>
+          {renderPeriodToggle()}
+          <button
+            onClick={() => loadYearData(selectedYear)}
+            disabled={yearLoading}
+            style={{ padding: '6px 12px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', fontWeight: '600', cursor: 'pointer' }}
+          >
+            {yearLoading ? 'Refreshing…' : '⟳ Refresh'}
+          </button>
+        </div>
+
+        {/* Origin × return matrix */}
+        <div style={{ ...panelStyle, marginBottom: '24px' }}>
+          <h3 style={headingStyle}>Lanes — {periodLabel}</h3>
+          {rows.length > 0 ? (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={{ ...th, textAlign: 'left' }}>Origin ↓ / Return →</th>
+                    {returns.map((r) => <th key={r.key} style={{ ...th, whiteSpace: 'nowrap' }}>{r.key}</th>)}
+                    <th style={th}>Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {origins.map((o) => (
+                    <tr key={o.key}>
+                      <td style={{ ...td, textAlign: 'left', fontWeight: '600', whiteSpace: 'nowrap' }}>{o.key}</td>
+                      {returns.map((r) => {
+                        const c = cells[`${o.key}|${r.key}`];
+                        return (
+                          <td
+                            key={r.key}
+                            style={{ ...td, background: c ? heat(c.total, maxCell) : undefined }}
+                            title={c ? `${o.key} → ${r.key}: ${c.count} shipments, ${formatMoney(c.total)}` : undefined}
+                          >
+                            {c ? (
+                              <>
+                                <div style={{ fontWeight: '600' }}>{formatMoney(c.total)}</div>
+                                <div style={{ color: '#475569' }}>{c.count}×</div>
+                              </>
+                            ) : ''}
+                          </td>
+                        );
+                      })}
+                      <td style={{ ...td, fontWeight: 'bold' }}>{formatMoney(o.total)}<div style={{ color: '#475569', fontWeight: 'normal' }}>{o.count}×</div></td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td style={{ ...td, textAlign: 'left', fontWeight: 'bold' }}>Total</td>
+                    {returns.map((r) => (
+                      <td key={r.key} style={{ ...td, fontWeight: 'bold' }}>{formatMoney(r.total)}<div style={{ color: '#475569', fontWeight: 'normal' }}>{r.count}×</div></td>
+                    ))}
+                    <td style={{ ...td, fontWeight: 'bold' }}>{formatMoney(periodTotal)}<div style={{ color: '#475569', fontWeight: 'normal' }}>{rows.length}×</div></td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No shipments in {periodLabel}</p>
+          )}
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(360px, 1fr))', gap: '16px', marginBottom: '24px' }}>
+          {/* Top lanes */}
+          <div style={panelStyle}>
+            <h3 style={headingStyle}>Top Lanes by Spend</h3>
+            {topLanes.length > 0 ? (
+              <table style={{ width: '100%', fontSize: '12px' }}>
+                <thead>
+                  <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
+                    <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Lane</th>
+                    <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Shipments</th>
+                    <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Spend</th>
+                    <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Avg</th>
+                    <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Share</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {topLanes.map((l) => (
+                    <tr key={`${l.origin}|${l.ret}`} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                      <td style={{ padding: '4px' }}>{l.origin} → {l.ret}</td>
+                      <td style={{ textAlign: 'right', padding: '4px' }}>{l.count}</td>
+                      <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(l.total)}</td>
+                      <td style={{ textAlign: 'right', padding: '4px' }}>{formatMoney(l.total / l.count)}</td>
+                      <td style={{ textAlign: 'right', padding: '4px', color: '#64748b' }}>{periodTotal > 0 ? ((l.total / periodTotal) * 100).toFixed(1) : '0.0'}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No shipments in {periodLabel}</p>
+            )}
+          </div>
+
+          {/* Trip type split per branch */}
+          <div style={panelStyle}>
+            <h3 style={headingStyle}>Trip Type by Origin Branch</h3>
+            {splitByOrigin.length > 0 ? (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                {splitByOrigin.map((o) => (
+                  <div key={o.key}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', marginBottom: '2px' }}>
+                      <span style={{ fontWeight: '600', color: '#475569' }}>{o.key}</span>
+                      <span style={{ color: '#64748b' }}>
+                        {SHIP_METHODS.map((m) => `${m}: ${o.byMethod[m].count}`).join(' · ')}
+                      </span>
+                    </div>
+                    <div style={{ display: 'flex', height: '14px', background: '#f1f5f9', borderRadius: '4px', overflow: 'hidden' }}>
+                      {SHIP_METHODS.map((m, idx) => (
+                        <div
+                          key={m}
+                          title={`${m}: ${o.byMethod[m].count} shipments, ${formatMoney(o.byMethod[m].total)}`}
+                          style={{ width: `${o.total > 0 ? (o.byMethod[m].total / o.total) * 100 : 0}%`, background: chartColors[idx % chartColors.length] }}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                <div style={{ display: 'flex', gap: '12px', fontSize: '11px', color: '#475569' }}>
+                  {SHIP_METHODS.map((m, idx) => (
+                    <span key={m} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                      <span style={{ width: 10, height: 10, borderRadius: 2, background: chartColors[idx % chartColors.length], display: 'inline-block' }} />
+                      {m} (share of spend)
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No shipments in {periodLabel}</p>
+            )}
+          </div>
+        </div>
+
+        {/* Spend per origin over the year */}
+        <div style={{ ...panelStyle, marginBottom: '24px' }}>
+          <h3 style={headingStyle}>Spend by Origin Branch — {selectedYear}</h3>
+          {originTrend.length > 0 ? (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                <thead>
+                  <tr>
+                    <th style={{ ...th, textAlign: 'left' }}>Origin</th>
+                    {MONTHS.map((m) => <th key={m} style={th}>{m.slice(0, 3)}</th>)}
+                    <th style={th}>Year</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {originTrend.map((o) => (
+                    <tr key={o.key}>
+                      <td style={{ ...td, textAlign: 'left', fontWeight: '600', whiteSpace: 'nowrap' }}>{o.key}</td>
+                      {o.months.map((v, i) => (
+                        <td key={MONTHS[i]} style={{ ...td, background: heat(v, maxTrendCell) }} title={`${o.key}, ${MONTHS[i]}: ${formatMoney(v)}`}>
+                          {v > 0 ? formatMoney(v) : ''}
+                        </td>
+                      ))}
+                      <td style={{ ...td, fontWeight: 'bold' }}>{formatMoney(o.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No data for {selectedYear}</p>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  // ======== Dispatch board (month's shipments by status) ========
+  const setShipmentStatus = (id, status) => {
+    const idx = shipments.findIndex((s) => String(s.id) === String(id));
+    if (idx === -1 || statusOf(shipments[idx]) === status) return;
+    const updated = [...shipments];
+    updated[idx] = { ...updated[idx], status };
+    saveToFirebase(updated, { label: `Status → ${status}` });
+  };
+
+  const handleBoardDrop = (e, status) => {
+    e.preventDefault();
+    const id = e.dataTransfer.getData('text/plain') || boardDragId;
+    setBoardDragId(null);
+    setBoardDropStatus(null);
+    if (id) setShipmentStatus(id, status);
+  };
+
+  const renderBoardView = () => {
+    const cards = shipments.filter((s) => !isBlankShipment(s));
+    const columns = SHIPMENT_STATUSES.map((status) => {
+      const rows = cards
+        .filter((s) => statusOf(s) === status)
+        .sort((a, b) => String(a.shipDate || '9999').localeCompare(String(b.shipDate || '9999')));
+      return { status, rows, total: rows.reduce((sum, s) => sum + Number(s.shippingCharge || 0), 0) };
+    });
+
+    return (
+      <>
+        <p style={{ fontSize: '12px', color: '#64748b', marginBottom: '12px' }}>
+          {cards.length} shipments in {selectedMonth} {selectedYear}.
+          {canEdit ? ' Drag a card to another column to change its status; hover a card for its status history.' : ' Hover a card for its status history.'}
+        </p>
+        <div style={{ display: 'flex', gap: '12px', overflowX: 'auto', paddingBottom: '12px', alignItems: 'flex-start' }}>
+          {columns.map(({ status, rows, total }) => {
+            const colors = STATUS_COLORS[status];
+            const isTarget = boardDropStatus === status && boardDragId != null;
+            return (
+              <div
+                key={status}
+                onDragOver={canEdit ? (e) => { e.preventDefault(); if (boardDropStatus !== status) setBoardDropStatus(status); } : undefined}
+                onDragLeave={canEdit ? (e) => { if (!e.currentTarget.contains(e.relatedTarget)) setBoardDropStatus(null); } : undefined}
+                onDrop={canEdit ? (e) => handleBoardDrop(e, status) : undefined}
+                style={{
+                  flex: '0 0 220px',
+                  background: isTarget ? colors.bg : '#f1f5f9',
+                  border: `2px ${isTarget ? 'dashed' : 'solid'} ${isTarget ? colors.fg : '#e2e8f0'}`,
+                  borderRadius: '10px',
+                  padding: '8px',
+                  minHeight: '200px',
+                }}
+              >
+                <div style={{ borderTop: `4px solid ${colors.fg}`, borderRadius: '4px', padding: '6px 4px 8px', marginBottom: '6px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span style={{ fontWeight: 'bold', fontSize: '13px', color: colors.fg }}>{status}</span>
+                    <span style={{ fontSize: '11px', fontWeight: '600', color: '#475569', background: 'white', borderRadius: '9999px', padding: '0 8px' }}>{rows.length}</span>
+                  </div>
+                  <div style={{ fontSize: '11px', color: '#64748b', marginTop: '2px' }}>{formatMoney(total)}</div>
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                  {rows.map((s) => {
+                    const since = statusSince(s);
+                    const busy = remoteRowEditors(s.id);
+                    return (
+                      <div
+                        key={s.id}
+                        draggable={canEdit}
+                        onDragStart={(e) => {
+                          e.dataTransfer.setData('text/plain', String(s.id));
+                          e.dataTransfer.effectAllowed = 'move';
+                          setBoardDragId(String(s.id));
+                        }}
+                        onDragEnd={() => { setBoardDragId(null); setBoardDropStatus(null); }}
+                        title={statusHistoryText(s)}
+                        style={{
+                          background: 'white',
+                          border: '1px solid #cbd5e1',
+                          borderLeft: `4px solid ${busy.length ? busy[0].color : colors.fg}`,
+                          borderRadius: '6px',
+                          padding: '8px',
+                          fontSize: '12px',
+                          cursor: canEdit ? 'grab' : 'default',
+                          opacity: boardDragId === String(s.id) ? 0.4 : status === 'Cancelled' ? 0.7 : 1,
+                          boxShadow: '0 1px 2px rgba(0,0,0,0.05)',
+                        }}
+                      >
+                        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '6px' }}>
+                          <strong style={{ color: '#0f172a' }}>{s.refNum || '(no ref #)'}</strong>
+                          <span style={{ fontWeight: '600', color: '#334155' }}>{formatMoney(s.shippingCharge)}</span>
+                        </div>
+                        <div style={{ color: '#334155', marginTop: '2px' }}>{s.company || '—'}</div>
+                        <div style={{ color: '#64748b', marginTop: '2px' }}>
+                          {s.location || '—'}{s.returnLocation ? ` → ${s.returnLocation}` : ''}
+                        </div>
+                        <div style={{ color: '#64748b', marginTop: '2px' }}>
+                          {s.shipDate || 'no ship date'}{s.returnDate ? ` – ${s.returnDate}` : ''}{s.agent ? ` · ${s.agent}` : ''}
+                        </div>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px', gap: '6px' }}>
+                          <span style={{ fontSize: '10px', color: '#94a3b8' }}>
+                            {since ? `since ${new Date(since).toLocaleDateString()}` : ''}
+                            {busy.length ? ` · ${busy[0].name} editing` : ''}
+                          </span>
+                          {/* Keyboard/touch fallback for dragging */}
+                          {canEdit && (
+                            <select
+                              value={status}
+                              onChange={(e) => setShipmentStatus(s.id, e.target.value)}
+                              title="Change status"
+                              style={{ fontSize: '10px', padding: '1px 2px', border: '1px solid #e2e8f0', borderRadius: '4px', color: '#475569', maxWidth: '90px' }}
+                            >
+                              {SHIPMENT_STATUSES.map((o) => <option key={o} value={o}>{o}</option>)}
+                            </select>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                  {rows.length === 0 && (
+                    <p style={{ fontSize: '11px', color: '#94a3b8', textAlign: 'center', padding: '16px 0' }}>No shipments</p>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </>
+    );
+  };
+
+  // ======== Carrier profiles ========
+  const selectProfileCompany = (company) => {
+    setProfileCompany(company);
+    setProfileDraft(company ? { ...EMPTY_CARRIER_PROFILE, ...(carrierProfiles[company] || {}) } : null);
+  };
+
+  const setProfileField = (key, value) => setProfileDraft((d) => ({ ...d, [key]: value }));
+
+  const setRateCardCell = (location, method, value) => {
+    setProfileDraft((d) => ({
+      ...d,
+      rateCard: { ...d.rateCard, [location]: { ...(d.rateCard[location] || {}), [method]: value } },
+    }));
+  };
+
+  const saveCarrierProfile = async () => {
+    if (!isAdmin || !profileCompany || !profileDraft) return;
+    // Store numbers only; blank cells mean "no rate"
+    const rateCard = {};
+    Object.entries(profileDraft.rateCard || {}).forEach(([loc, methods]) => {
+      Object.entries(methods || {}).forEach(([method, v]) => {
+        if (v === '' || v == null || isNaN(Number(v))) return;
+        if (!rateCard[loc]) rateCard[loc] = {};
+        rateCard[loc][method] = Number(v);
+      });
+    });
+    try {
+      await setDoc(carrierRef(profileCompany), {
+        ...profileDraft,
+        rateCard,
+        company: profileCompany,
+        updatedAt: new Date().toISOString(),
+        updatedBy: userLabel,
+      });
+    } catch (e) {
+      console.error('Failed to save carrier profile:', e);
+      alert('Failed to save carrier profile. Check your permissions/rules.');
+    }
+  };
+
+  const renderCarrierProfileEditor = () => {
+    const inputStyle = { padding: '6px 10px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', width: '100%' };
+    const labelStyle = { fontSize: '11px', fontWeight: '600', color: '#475569', marginBottom: '2px', display: 'block' };
+    const expiry = profileDraft?.insuranceExpiry;
+    const expired = expiry && expiry < new Date().toISOString().split('T')[0];
+
+    return (
+      <div style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px', marginBottom: '24px' }}>
+        <div style={{ display: 'flex', gap: '12px', alignItems: 'center', marginBottom: '12px' }}>
+          <h3 style={{ fontWeight: 'bold', fontSize: '14px', color: '#334155' }}>Carrier Profile &amp; Rate Card</h3>
+          <select
+            value={profileCompany}
+            onChange={(e) => selectProfileCompany(e.target.value)}
+            style={{ padding: '6px 10px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '13px' }}
+          >
+            <option value="">Select a company…</option>
+            {companies.map((c) => <option key={c} value={c}>{c}{carrierProfiles[c] ? '' : ' (no profile)'}</option>)}
+          </select>
+        </div>
+
+        {profileDraft && (
+          <>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '12px', marginBottom: '12px' }}>
+              <label><span style={labelStyle}>Contacts</span><input style={inputStyle} value={profileDraft.contacts} onChange={(e) => setProfileField('contacts', e.target.value)} placeholder="Name, name…" /></label>
+              <label><span style={labelStyle}>Phone</span><input style={inputStyle} value={profileDraft.phone} onChange={(e) => setProfileField('phone', e.target.value)} /></label>
+              <label><span style={labelStyle}>Email</span><input type="email" style={inputStyle} value={profileDraft.email} onChange={(e) => setProfileField('email', e.target.value)} /></label>
+              <label><span style={labelStyle}>Service regions</span><input style={inputStyle} value={profileDraft.serviceRegions} onChange={(e) => setProfileField('serviceRegions', e.target.value)} placeholder="e.g. Northeast, Florida" /></label>
+              <label>
+                <span style={labelStyle}>Insurance expiry {expired && <span style={{ color: '#dc2626' }}>⚠️ expired</span>}</span>
+                <input type="date" style={inputStyle} value={profileDraft.insuranceExpiry} onChange={(e) => setProfileField('insuranceExpiry', e.target.value)} />
+              </label>
+            </div>
+            <label style={{ display: 'block', marginBottom: '12px' }}>
+              <span style={labelStyle}>Notes</span>
+              <textarea style={{ ...inputStyle, minHeight: 60 }} value={profileDraft.notes} onChange={(e) => setProfileField('notes', e.target.value)} />
+            </label>
+
+            <h4 style={{ fontWeight: 'bold', fontSize: '12px', color: '#334155', marginBottom: '6px' }}>Rate card (expected charge by origin and ship method)</h4>
+            <div style={{ overflowX: 'auto', marginBottom: '12px' }}>
+              <table style={{ borderCollapse: 'collapse', fontSize: '12px' }}>
+                <thead>
+                  <tr>
+                    <th style={{ border: '1px solid #cbd5e1', padding: '4px 8px', textAlign: 'left', background: '#f1f5f9' }}>Origin</th>
+                    {SHIP_METHODS.map((m) => (
+                      <th key={m} style={{ border: '1px solid #cbd5e1', padding: '4px 8px', textAlign: 'left', background: '#f1f5f9' }}>{m}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {locations.map((loc) => (
+                    <tr key={loc}>
+                      <td style={{ border: '1px solid #cbd5e1', padding: '4px 8px', whiteSpace: 'nowrap' }}>{loc}</td>
+                      {SHIP_METHODS.map((m) => (
+                        <td key={m} style={{ border: '1px solid #cbd5e1', padding: 0 }}>
+                          <input
+                            type="number"
+                            step="0.01"
+                            value={profileDraft.rateCard?.[loc]?.[m] ?? ''}
+                            onChange={(e) => setRateCardCell(loc, m, e.target.value)}
+                            style={{ width: 110, padding: '4px 8px', border: 'none', fontSize: '12px' }}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <button
+                onClick={saveCarrierProfile}
+                style={{ padding: '8px 16px', background: '#1d4ed8', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+              >
+                Save profile
+              </button>
+              <button
+                onClick={() => selectProfileCompany(profileCompany)}
+                style={{ padding: '8px 16px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+              >
+                Discard changes
+              </button>
+              {carrierProfiles[profileCompany]?.updatedAt && (
+                <span style={{ fontSize: '11px', color: '#64748b' }}>
+                  Last saved {new Date(carrierProfiles[profileCompany].updatedAt).toLocaleString()}
+                  {carrierProfiles[profileCompany].updatedBy && ` by ${carrierProfiles[profileCompany].updatedBy}`}
+                </span>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderSettingsView = () => {
+    const renderList = (kind) => {
+      const cfg = MASTER_LISTS[kind];
+      const { list, retired } = masterListState(kind);
+      return (
+        <div style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px' }}>
+          <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '12px', color: '#334155' }}>{cfg.plural} ({list.length})</h3>
+          <table style={{ width: '100%', fontSize: '12px' }}>
+            <tbody>
+              {list.map((value) => {
+                const isRetired = retired.includes(value);
+                return (
+                  <tr key={value} style={{ borderBottom: '1px solid #f1f5f9', color: isRetired ? '#94a3b8' : '#334155' }}>
+                    <td style={{ padding: '4px' }}>
+                      {value}
+                      {isRetired && <span style={{ marginLeft: '6px', fontSize: '10px', fontWeight: 'bold' }}>RETIRED</span>}
+                    </td>
+                    <td style={{ padding: '4px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      <button
+                        onClick={() => startMasterEdit(kind, 'rename', value, value)}
+                        style={{ color: '#1d4ed8', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: '600' }}
+                      >
+                        Rename
+                      </button>
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && startMasterEdit(kind, 'merge', value, e.target.value)}
+                        style={{ marginLeft: '8px', padding: '2px 4px', border: '1px solid #cbd5e1', borderRadius: '4px', fontSize: '11px' }}
+                        title={`Merge ${value} into another ${cfg.label.toLowerCase()}`}
+                      >
+                        <option value="">Merge into…</option>
+                        {list.filter((x) => x !== value).map((x) => <option key={x} value={x}>{x}</option>)}
+                      </select>
+                      <button
+                        onClick={() => toggleRetired(kind, value)}
+                        style={{ color: isRetired ? '#166534' : '#b45309', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: '600', marginLeft: '8px' }}
+                      >
+                        {isRetired ? 'Reinstate' : 'Retire'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      );
+    };
+
+    const edit = masterEdit;
+    const editCfg = edit && MASTER_LISTS[edit.kind];
+    const affectedRows = edit?.usage?.reduce((sum, u) => sum + u.count, 0) || 0;
+
+    return (
+      <>
+        {edit && (
+          <div style={{ background: '#eff6ff', border: '1px solid #93c5fd', borderRadius: '8px', padding: '16px', marginBottom: '16px', fontSize: '13px', color: '#1e293b' }}>
+            <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '8px' }}>
+              {edit.action === 'rename' ? 'Rename' : 'Merge'} {editCfg.label.toLowerCase()} "{edit.from}"
+            </h3>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '8px' }}>
+              <span>{edit.action === 'rename' ? 'New name:' : 'Merge into:'}</span>
+              {edit.action === 'rename' ? (
+                <input
+                  type="text"
+                  value={edit.to}
+                  onChange={(e) => setMasterEdit((cur) => ({ ...cur, to: e.target.value }))}
+                  style={{ padding: '6px 10px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '13px', minWidth: 220 }}
+                />
+              ) : (
+                <strong>{edit.to}</strong>
+              )}
+            </div>
+            <p style={{ marginBottom: '8px' }}>
+              {edit.scanning
+                ? 'Counting shipments that use this value…'
+                : `${affectedRows} shipment${affectedRows === 1 ? '' : 's'} in ${edit.usage.length} month${edit.usage.length === 1 ? '' : 's'} reference "${edit.from}"${edit.usage.length ? ` (${edit.usage.map((u) => `${u.month.slice(0, 3)} ${u.year}: ${u.count}`).join(', ')})` : ''}.`}
+            </p>
+            <label style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '12px', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={edit.rewrite}
+                disabled={edit.scanning || affectedRows === 0}
+                onChange={(e) => setMasterEdit((cur) => ({ ...cur, rewrite: e.target.checked }))}
+              />
+              Also rewrite those shipments to the new value
+            </label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                onClick={applyMasterEdit}
+                disabled={edit.scanning || edit.applying}
+                style={{ padding: '8px 16px', background: edit.scanning || edit.applying ? '#94a3b8' : '#1d4ed8', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+              >
+                {edit.applying ? 'Applying…' : edit.action === 'rename' ? 'Rename' : 'Merge'}
+              </button>
+              <button
+                onClick={() => setMasterEdit(null)}
+                disabled={edit.applying}
+                style={{ padding: '8px 16px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(360px, 1fr))', gap: '16px', marginBottom: '24px' }}>
+          {renderList('company')}
+          {renderList('location')}
+        </div>
+
+        {renderCarrierProfileEditor()}
+      </>
+    );
+  };
+
   // ======== UI ========
   return (
     <div style={{ minHeight: '100vh', background: 'white' }}>
@@ -681,27 +4288,116 @@ const downloadBlob = (blob, filename) => {
         {/* Header */}
         <div style={{ marginBottom: '16px', display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
           <div>
-            <h1 style={{ fontSize: '24px', fontWeight: 'bold', color: '#1e293b' }}>2025 Freight Booked by Company</h1>
+            <h1 style={{ fontSize: '24px', fontWeight: 'bold', color: '#1e293b' }}>{selectedYear} Freight Booked by Company</h1>
             <p style={{ fontSize: '14px', color: '#64748b' }}>
-              {selectedMonth}
+              {selectedMonth} {selectedYear}
               {isSaving && <span style={{ fontSize: '11px', color: '#f59e0b', marginLeft: '8px' }}>💾 Saving...</span>}
               {!isSaving && lastSaved && <span style={{ fontSize: '11px', color: '#10b981', marginLeft: '8px' }}>✓ Saved at {lastSaved}</span>}
-              <span style={{ fontSize: '11px', color: '#3b82f6', marginLeft: '8px' }}>🌐 Multi-user enabled</span>
+              {!isOnline || fromCache ? (
+                <span style={{ fontSize: '11px', color: '#dc2626', marginLeft: '8px', fontWeight: '600' }} title="Edits are stored on this device and sync when the connection returns">
+                  🔴 Offline{queuedCount > 0 && ` — ${queuedCount} change${queuedCount === 1 ? '' : 's'} queued`}
+                </span>
+              ) : hasPendingWrites || queuedCount > 0 ? (
+                <span style={{ fontSize: '11px', color: '#f59e0b', marginLeft: '8px', fontWeight: '600' }}>🟡 Syncing pending changes…</span>
+              ) : (
+                <span style={{ fontSize: '11px', color: '#10b981', marginLeft: '8px' }}>🟢 Online — all changes synced</span>
+              )}
+              {syncError && (
+                <span style={{ fontSize: '11px', color: '#dc2626', marginLeft: '8px', fontWeight: '600' }}>
+                  ⚠️ {syncError}
+                  <button
+                    onClick={() => setSyncError(null)}
+                    style={{ background: 'none', border: 'none', color: '#dc2626', cursor: 'pointer', fontSize: '11px', marginLeft: '4px' }}
+                    title="Dismiss"
+                  >
+                    ✕
+                  </button>
+                </span>
+              )}
+            </p>
+            <p style={{ fontSize: '12px', color: '#475569', marginTop: '4px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+              👤 {userLabel}
+              <span style={{ fontSize: '10px', fontWeight: 'bold', color: 'white', background: ROLE_COLORS[role], padding: '2px 8px', borderRadius: '999px', textTransform: 'uppercase' }}>{role}</span>
+              {activeViewers.length > 0 && (
+                <span style={{ display: 'flex', alignItems: 'center', gap: '2px' }} title={`Also viewing ${selectedMonth} ${selectedYear}`}>
+                  <span style={{ marginRight: '4px', color: '#64748b' }}>Also here:</span>
+                  {activeViewers.map((p) => (
+                    <span
+                      key={p.uid}
+                      title={p.editing ? `${p.name} — editing` : p.name}
+                      style={{ width: '22px', height: '22px', borderRadius: '999px', background: p.color, color: 'white', fontSize: '10px', fontWeight: 'bold', display: 'inline-flex', alignItems: 'center', justifyContent: 'center', border: p.editing ? '2px solid #fde047' : '2px solid white' }}
+                    >
+                      {initialsOf(p.name)}
+                    </span>
+                  ))}
+                </span>
+              )}
+              {isAdmin && (
+                <button
+                  onClick={() => setShowAgents((v) => !v)}
+                  style={{ fontSize: '11px', color: '#7c3aed', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                >
+                  {showAgents ? 'Hide agents' : 'Manage agents'}
+                </button>
+              )}
+              {isAdmin && (
+                <button
+                  onClick={() => setShowUsers((v) => !v)}
+                  style={{ fontSize: '11px', color: '#7c3aed', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+                >
+                  {showUsers ? 'Hide users' : 'Manage users'}
+                </button>
+              )}
+              <button
+                onClick={() => signOut(auth)}
+                style={{ fontSize: '11px', color: '#64748b', background: 'none', border: 'none', cursor: 'pointer', textDecoration: 'underline' }}
+              >
+                Sign out
+              </button>
             </p>
           </div>
 
           <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+            {/* View switch */}
+            <div style={{ display: 'flex', border: '1px solid #cbd5e1', borderRadius: '8px', overflow: 'hidden' }}>
+              {[
+                { key: 'month', label: '📅 Month' },
+                { key: 'year', label: '📈 Year' },
+                { key: 'agents', label: '👤 Agents' },
+                { key: 'lanes', label: '🛣️ Lanes' },
+                { key: 'board', label: '🗂️ Board' },
+                ...(isAdmin ? [{ key: 'settings', label: '⚙️ Settings' }] : []),
+              ].map((v) => (
+                <button
+                  key={v.key}
+                  onClick={() => setView(v.key)}
+                  style={{ padding: '8px 12px', background: view === v.key ? '#1d4ed8' : 'white', color: view === v.key ? 'white' : '#334155', border: 'none', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+                >
+                  {v.label}
+                </button>
+              ))}
+            </div>
+
             {/* Month selector */}
             <select
-              value={selectedMonth}
-              onChange={(e) => handleMonthChange(e.target.value)}
+              value={selectedMonth}
+              onChange={(e) => handleMonthChange(e.target.value)}
+              style={{ padding: '8px 16px', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '14px', fontWeight: '600', cursor: 'pointer' }}
+            >
+              {MONTHS.map((m) => <option key={m} value={m}>{m}</option>)}
+            </select>
+
+            {/* Year selector */}
+            <select
+              value={selectedYear}
+              onChange={(e) => handleYearChange(e.target.value)}
               style={{ padding: '8px 16px', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '14px', fontWeight: '600', cursor: 'pointer' }}
             >
-              {MONTHS.map((m) => <option key={m} value={m}>{m}</option>)}
+              {YEARS.map((y) => <option key={y} value={y}>{y}</option>)}
             </select>
 
-            {/* Global Add Company */}
-            <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+            {/* Global Add Company (admins only) */}
+            {isAdmin && <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
               <input
                 type="text"
                 value={newCompany}
@@ -717,10 +4413,10 @@ const downloadBlob = (blob, filename) => {
               >
                 + Add Company
               </button>
-            </div>
+            </div>}
 
-            {/* Global Add Location */}
-            <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+            {/* Global Add Location (admins only) */}
+            {isAdmin && <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
               <input
                 type="text"
                 value={newLocation}
@@ -736,7 +4432,26 @@ const downloadBlob = (blob, filename) => {
               >
                 + Add Location
               </button>
-            </div>
+            </div>}
+
+            {/* Global Add Agent (admins only) */}
+            {isAdmin && <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+              <input
+                type="text"
+                value={newAgent}
+                placeholder="Add agent…"
+                onChange={(e) => setNewAgent(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') addAgentGlobal(); }}
+                style={{ padding: '8px 10px', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '13px', minWidth: 160 }}
+              />
+              <button
+                onClick={addAgentGlobal}
+                style={{ padding: '8px 12px', background: '#3730a3', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+                title="Add a new global agent"
+              >
+                + Add Agent
+              </button>
+            </div>}
 
             {/* Excel export buttons */}
             <button
@@ -749,234 +4464,1263 @@ const downloadBlob = (blob, filename) => {
             <button
               onClick={exportAllMonthsExcel}
               style={{ padding: '8px 12px', background: '#047857', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
-              title="Export all months to Excel (data-only)"
+              title={`Export all months of ${selectedYear} to Excel (with year and company/agent/location summaries)`}
             >
               ⬇️ Export All (Excel)
             </button>
-
             <button
+              onClick={exportMonthPdf}
+              style={{ padding: '8px 12px', background: '#b91c1c', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+              title={`Printable PDF report for ${selectedMonth} ${selectedYear}`}
+            >
+              📄 Month Report (PDF)
+            </button>
+
+            {/* Excel/CSV import */}
+            {canEdit && <input
+              ref={importInputRef}
+              type="file"
+              accept=".xlsx,.xls,.csv"
+              onChange={handleImportFile}
+              style={{ display: 'none' }}
+            />}
+            {canEdit && <button
+              onClick={() => importInputRef.current?.click()}
+              style={{ padding: '8px 12px', background: '#1e40af', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+              title={`Import shipments from .xlsx/.csv into ${selectedMonth} ${selectedYear}`}
+            >
+              ⬆️ Import
+            </button>}
+
+            {isAdmin && <button
               onClick={async () => {
-                if (!window.confirm(`Reset ${selectedMonth} to one blank row? This cannot be undone.`)) return;
-                await saveToFirebase([buildDefaultShipment()]);
+                if (!isAdmin) return;
+                if (!window.confirm(`Reset ${selectedMonth} ${selectedYear} to one blank row? (Ctrl+Z undoes this.)`)) return;
+                await saveToFirebase([buildDefaultShipment()], { label: 'Reset month' });
               }}
               style={{ padding: '8px 16px', background: '#ef4444', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
             >
               🗑️ Reset Month
-            </button>
+            </button>}
           </div>
         </div>
 
-        {/* Summary Cards */}
-        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px', marginBottom: '24px' }}>
-          <div style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
-            <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Total Revenue</div>
-            <div style={{ fontSize: '28px', fontWeight: 'bold' }}>${totalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
-          </div>
-          <div style={{ background: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
-            <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Total Shipments</div>
-            <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{shipments.length}</div>
-          </div>
-          <div style={{ background: 'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
-            <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Active Companies</div>
-            <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{companySummary.length}</div>
-          </div>
-          <div style={{ background: 'linear-gradient(135deg, #43e97b 0%, #38f9d7 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
-            <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Avg Per Shipment</div>
-            <div style={{ fontSize: '28px', fontWeight: 'bold' }}>${shipments.length > 0 ? (totalCost / shipments.length).toFixed(2) : '0.00'}</div>
+        {/* Offline edit conflicts */}
+        {conflicts.length > 0 && (
+          <div style={{ background: '#fffbeb', border: '1px solid #fcd34d', borderRadius: '8px', padding: '16px', marginBottom: '24px' }}>
+            <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '4px', color: '#92400e' }}>⚠️ Offline edit conflicts ({conflicts.length})</h3>
+            <p style={{ fontSize: '12px', color: '#92400e', marginBottom: '12px' }}>
+              These changes were made while you were offline, but someone else changed the same field in the meantime. Your value is currently saved.
+            </p>
+            <table style={{ width: '100%', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ borderBottom: '1px solid #fde68a' }}>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Shipment</th>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Field</th>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Yours (offline)</th>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Theirs</th>
+                  <th style={{ padding: '4px' }} />
+                </tr>
+              </thead>
+              <tbody>
+                {conflicts.map((c, i) => (
+                  <tr key={`${c.rowId}:${c.field}:${i}`} style={{ borderBottom: '1px solid #fef3c7' }}>
+                    <td style={{ padding: '4px' }}>{c.refNum ? `Ref ${c.refNum}` : `Row ${c.rowId}`} <span style={{ color: '#92400e' }}>({c.month} {c.year})</span></td>
+                    <td style={{ padding: '4px' }}>{excelColumns.find((col) => col.key === c.field)?.header || c.field}</td>
+                    <td style={{ padding: '4px', fontWeight: '600' }}>{formatAuditValue(c.field, c.mine)}</td>
+                    <td style={{ padding: '4px' }}>
+                      <strong>{formatAuditValue(c.field, c.theirs)}</strong>
+                      <span style={{ color: '#92400e' }}> — {c.theirUser}, {new Date(c.theirAt).toLocaleString()}</span>
+                    </td>
+                    <td style={{ padding: '4px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      <button
+                        onClick={() => resolveConflict(c, false)}
+                        style={{ color: '#166534', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: '600' }}
+                      >
+                        Keep mine
+                      </button>
+                      {canEdit && (
+                        <button
+                          onClick={() => resolveConflict(c, true)}
+                          style={{ color: '#1d4ed8', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: '600', marginLeft: '8px' }}
+                        >
+                          Use theirs
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
-        </div>
+        )}
 
-        {/* Charts Grid */}
-        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
-          {/* Company Totals Table (capture area) */}
-          <div ref={costPerCompanyRef} style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px' }}>
-            <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '12px', color: '#334155' }}>Shipping Cost Per Company</h3>
-            {companySummary.length > 0 ? (
-              <table style={{ width: '100%', fontSize: '12px' }}>
-                <thead>
-                  <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
-                    <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Company</th>
-                    <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Total Cost</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {companySummary.map((item, idx) => (
-                    <tr key={idx} style={{ borderBottom: '1px solid #f1f5f9' }}>
-                      <td style={{ padding: '4px' }}>{item.company}</td>
-                      <td style={{ textAlign: 'right', padding: '4px' }}>
-                        ${item.total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+        {/* Admin: agents */}
+        {isAdmin && showAgents && (
+          <div style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px', marginBottom: '24px' }}>
+            <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '4px', color: '#334155' }}>Agents</h3>
+            <p style={{ fontSize: '12px', color: '#64748b', marginBottom: '12px' }}>
+              Inactive agents are hidden from the Agent autocomplete; shipments already booked under them are unchanged.
+            </p>
+            <table style={{ width: '100%', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Agent</th>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Status</th>
+                  <th style={{ padding: '4px' }} />
+                </tr>
+              </thead>
+              <tbody>
+                {agents.map((a) => {
+                  const inactive = inactiveAgents.includes(a);
+                  return (
+                    <tr key={a} style={{ borderBottom: '1px solid #f1f5f9', color: inactive ? '#94a3b8' : '#334155' }}>
+                      <td style={{ padding: '4px' }}>{a}</td>
+                      <td style={{ padding: '4px' }}>{inactive ? 'Inactive' : 'Active'}</td>
+                      <td style={{ padding: '4px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                        <button
+                          onClick={() => renameAgentGlobal(a)}
+                          style={{ color: '#1d4ed8', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: '600' }}
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => toggleAgentActive(a)}
+                          style={{ color: inactive ? '#166534' : '#b45309', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: '600', marginLeft: '8px' }}
+                        >
+                          {inactive ? 'Reactivate' : 'Deactivate'}
+                        </button>
                       </td>
                     </tr>
-                  ))}
-                  <tr style={{ fontWeight: 'bold', borderTop: '2px solid #cbd5e1' }}>
-                    <td style={{ padding: '4px' }}>Total</td>
-                    <td style={{ textAlign: 'right', padding: '4px' }}>
-                      ${totalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Admin: user roles */}
+        {isAdmin && showUsers && (
+          <div style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px', marginBottom: '24px' }}>
+            <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '12px', color: '#334155' }}>Users &amp; Roles</h3>
+            <table style={{ width: '100%', fontSize: '12px' }}>
+              <thead>
+                <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>User</th>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Email</th>
+                  <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Role</th>
+                </tr>
+              </thead>
+              <tbody>
+                {userProfiles.map((p) => (
+                  <tr key={p.uid} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                    <td style={{ padding: '4px' }}>
+                      <input
+                        key={p.displayName || ''}
+                        defaultValue={p.displayName || ''}
+                        placeholder="(uses email)"
+                        onBlur={(e) => setUserDisplayName(p.uid, e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') e.target.blur(); }}
+                        style={{ padding: '4px 8px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', width: '100%' }}
+                      />
+                    </td>
+                    <td style={{ padding: '4px' }}>{p.email}</td>
+                    <td style={{ padding: '4px' }}>
+                      <select
+                        value={ROLES.includes(p.role) ? p.role : 'pending'}
+                        onChange={(e) => setUserRole(p.uid, e.target.value)}
+                        style={{ padding: '4px 8px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px' }}
+                      >
+                        {ROLES.map((r) => <option key={r} value={r}>{r}</option>)}
+                      </select>
                     </td>
                   </tr>
-                </tbody>
-              </table>
-            ) : (
-              <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No data for {selectedMonth}</p>
-            )}
+                ))}
+              </tbody>
+            </table>
           </div>
+        )}
 
-          {/* Bar Chart (capture area) */}
-          <div ref={shipmentCountRef} style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px' }}>
-            <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '16px', color: '#334155' }}>Shipment Count by Company</h3>
-            {companySummary.length > 0 ? (
-              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-                {companySummary.map((item, idx) => (
-                  <div key={idx}>
-                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', fontSize: '11px' }}>
-                      <span style={{ fontWeight: '600', color: '#475569' }}>{item.company}</span>
-                      <span style={{ color: '#64748b' }}>{item.count} shipments</span>
-                    </div>
-                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                      <div style={{ flex: 1, height: '28px', background: '#f1f5f9', borderRadius: '6px', overflow: 'hidden' }}>
-                        <div
-                          style={{
-                            width: `${(item.count / maxCount) * 100}%`,
-                            height: '100%',
-                            background: chartColors[idx % chartColors.length],
-                            borderRadius: '6px',
-                            transition: 'width 0.3s ease',
-                            boxShadow: `0 0 10px ${chartColors[idx % chartColors.length]}40`,
-                          }}
-                        />
-                      </div>
-                      <span style={{ fontSize: '11px', fontWeight: 'bold', color: '#334155', minWidth: '30px', textAlign: 'right' }}>{item.count}</span>
+        {['year', 'agents', 'lanes'].includes(view) && (
+          <p style={{ fontSize: '12px', color: '#64748b', marginBottom: '8px' }}>ℹ️ {UNCOMMITTED_NOTE}</p>
+        )}
+        {view === 'year' && renderYearView()}
+        {view === 'agents' && renderAgentView()}
+        {view === 'lanes' && renderLaneView()}
+        {view === 'board' && renderBoardView()}
+        {view === 'settings' && isAdmin && renderSettingsView()}
+
+        {view === 'month' && (
+          <>
+            {/* Summary Cards */}
+            {uncommittedCount > 0 && (
+              <p style={{ fontSize: '12px', color: '#64748b', marginBottom: '8px' }}>
+                ℹ️ {uncommittedCount} quoted/cancelled shipment{uncommittedCount === 1 ? '' : 's'} this month. {UNCOMMITTED_NOTE}
+              </p>
+            )}
+            {filterSummaries && filtersActive && (
+              <p style={{ fontSize: '12px', color: '#1d4ed8', marginBottom: '8px', fontWeight: '600' }}>
+                🔎 Summary and charts show the {summaryShipments.length} filtered shipments
+              </p>
+            )}
+            {/* Budget alert */}
+            {budgetPct != null && budgetPct >= budgetAlertPct && (
+              <div style={{ background: budgetPct >= 100 ? '#fef2f2' : '#fffbeb', border: `1px solid ${budgetPct >= 100 ? '#fca5a5' : '#fcd34d'}`, color: budgetPct >= 100 ? '#991b1b' : '#92400e', borderRadius: '8px', padding: '10px 16px', marginBottom: '12px', fontSize: '13px', fontWeight: '600' }}>
+                ⚠️ {selectedMonth} spend is {formatMoney(monthSpend)} — {budgetPct.toFixed(1)}% of the {formatMoney(budgetTotal)} budget
+                {budgetPct >= 100 ? ` (over by ${formatMoney(monthSpend - budgetTotal)})` : ` (alert at ${budgetAlertPct}%)`}
+              </div>
+            )}
+            {budgetAlerts.length > 0 && (
+              <div style={{ background: '#fffbeb', border: '1px solid #fcd34d', color: '#92400e', borderRadius: '8px', padding: '8px 16px', marginBottom: '12px', fontSize: '12px' }}>
+                ⚠️ At or over {budgetAlertPct}% of budget: {budgetAlerts.join(', ')}
+              </div>
+            )}
+            {isAdmin && !budgetDraft && (
+              <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '8px' }}>
+                <button
+                  onClick={startBudgetEdit}
+                  style={{ padding: '6px 12px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', fontWeight: '600', cursor: 'pointer' }}
+                >
+                  💰 {budget ? 'Edit budget' : 'Set budget'}
+                </button>
+              </div>
+            )}
+            {isAdmin && budgetDraft && renderBudgetEditor()}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px', marginBottom: '24px' }}>
+              <div style={{ background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+                <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Total Revenue</div>
+                <div style={{ fontSize: '28px', fontWeight: 'bold' }}>${totalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>
+                {budgetTotal > 0 && (
+                  <div style={{ marginTop: '8px' }}>
+                    {renderBudgetBar(monthSpend, budgetTotal)}
+                    <div style={{ fontSize: '11px', opacity: 0.9, marginTop: '4px' }}>{budgetPct.toFixed(1)}% of {formatMoney(budgetTotal)} budget
+                      {filterSummaries && filtersActive && ` (whole month: ${formatMoney(monthSpend)})`}
                     </div>
                   </div>
-                ))}
+                )}
+              </div>
+              {budgetTotal > 0 && (
+                <div style={{ background: 'linear-gradient(135deg, #f6d365 0%, #fda085 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+                  <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>{monthSpend > budgetTotal ? 'Over Budget' : 'Budget Remaining'}</div>
+                  <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{formatMoney(Math.abs(budgetTotal - monthSpend))}</div>
+                  {Object.keys(locationBudgets).length > 0 && (
+                    <div style={{ marginTop: '8px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                      {Object.entries(locationBudgets).map(([name, target]) => (
+                        <div key={name} title={`${name}: ${formatMoney(locationActuals[name] || 0)} of ${formatMoney(target)}`}>
+                          <div style={{ fontSize: '10px', opacity: 0.9 }}>{name}</div>
+                          {renderBudgetBar(locationActuals[name] || 0, target, 5)}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+              <div style={{ background: 'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+                <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Total Shipments</div>
+                <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{summaryShipments.length}</div>
+              </div>
+              <div style={{ background: 'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+                <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Active Companies</div>
+                <div style={{ fontSize: '28px', fontWeight: 'bold' }}>{companySummary.length}</div>
+              </div>
+              <div style={{ background: 'linear-gradient(135deg, #43e97b 0%, #38f9d7 100%)', borderRadius: '12px', padding: '20px', color: 'white', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+                <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '8px' }}>Avg Per Shipment</div>
+                <div style={{ fontSize: '28px', fontWeight: 'bold' }}>${summaryShipments.length > 0 ? (totalCost / summaryShipments.length).toFixed(2) : '0.00'}</div>
+              </div>
+            </div>
+
+            {/* Charts Grid */}
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginBottom: '24px' }}>
+              {/* Company Totals Table (capture area) */}
+              <div ref={costPerCompanyRef} style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px' }}>
+                <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '12px', color: '#334155' }}>Shipping Cost Per Company</h3>
+                {companyTableRows.length > 0 ? (
+                  <table style={{ width: '100%', fontSize: '12px' }}>
+                    <thead>
+                      <tr style={{ borderBottom: '1px solid #e2e8f0' }}>
+                        <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Company</th>
+                        <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Total Cost</th>
+                        {hasCompanyBudgets && <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Budget</th>}
+                        {hasCompanyBudgets && <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }} title="Whole-month spend vs budget, regardless of filters">Variance</th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {companyTableRows.map((item, idx) => (
+                        <tr key={idx} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                          <td style={{ padding: '4px' }}>{item.company}</td>
+                          <td style={{ textAlign: 'right', padding: '4px' }}>
+                            ${item.total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                          </td>
+                          {hasCompanyBudgets && (
+                            <td style={{ textAlign: 'right', padding: '4px', color: '#64748b' }}>
+                              {companyBudgets[item.company] != null ? formatMoney(companyBudgets[item.company]) : '—'}
+                            </td>
+                          )}
+                          {hasCompanyBudgets && (
+                            <td style={{ textAlign: 'right', padding: '4px', fontWeight: '600', color: BUDGET_COLORS[budgetLevel(companyActuals[item.company] || 0, companyBudgets[item.company])] }}>
+                              {companyBudgets[item.company] != null
+                                ? formatVariance(companyActuals[item.company] || 0, companyBudgets[item.company])
+                                : ''}
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                      <tr style={{ fontWeight: 'bold', borderTop: '2px solid #cbd5e1' }}>
+                        <td style={{ padding: '4px' }}>Total</td>
+                        <td style={{ textAlign: 'right', padding: '4px' }}>
+                          ${totalCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                        </td>
+                        {hasCompanyBudgets && (
+                          <td style={{ textAlign: 'right', padding: '4px' }}>{budgetTotal > 0 ? formatMoney(budgetTotal) : ''}</td>
+                        )}
+                        {hasCompanyBudgets && (
+                          <td style={{ textAlign: 'right', padding: '4px', color: BUDGET_COLORS[budgetLevel(monthSpend, budgetTotal)] }}>
+                            {budgetTotal > 0 ? formatVariance(monthSpend, budgetTotal) : ''}
+                          </td>
+                        )}
+                      </tr>
+                    </tbody>
+                  </table>
+                ) : (
+                  <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No data for {selectedMonth} {selectedYear}</p>
+                )}
               </div>
-            ) : (
-              <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No data for {selectedMonth}</p>
-            )}
-          </div>
-        </div>
 
-        {/* Revenue Distribution (capture area) */}
-        <div ref={revenueDistRef} style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px', marginBottom: '24px' }}>
-          <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '16px', color: '#334155' }}>Revenue Distribution by Company</h3>
-          {companySummary.length > 0 ? (
-            <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
-              {companySummary.map((item, idx) => (
-                <div key={idx}>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', fontSize: '11px' }}>
-                    <span style={{ fontWeight: '600', color: '#475569' }}>{item.company}</span>
-                    <span style={{ color: '#64748b' }}>{totalCost > 0 ? ((item.total / totalCost) * 100).toFixed(1) : '0.0'}%</span>
+              {/* Bar Chart (capture area) */}
+              <div ref={shipmentCountRef} style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px' }}>
+                <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '16px', color: '#334155' }}>Shipment Count by Company</h3>
+                {companySummary.length > 0 ? (
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                    {companySummary.map((item, idx) => (
+                      <div key={idx}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', fontSize: '11px' }}>
+                          <span style={{ fontWeight: '600', color: '#475569' }}>{item.company}</span>
+                          <span style={{ color: '#64748b' }}>{item.count} shipments</span>
+                        </div>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                          <div style={{ flex: 1, height: '28px', background: '#f1f5f9', borderRadius: '6px', overflow: 'hidden' }}>
+                            <div
+                              style={{
+                                width: `${(item.count / maxCount) * 100}%`,
+                                height: '100%',
+                                background: chartColors[idx % chartColors.length],
+                                borderRadius: '6px',
+                                transition: 'width 0.3s ease',
+                                boxShadow: `0 0 10px ${chartColors[idx % chartColors.length]}40`,
+                              }}
+                            />
+                          </div>
+                          <span style={{ fontSize: '11px', fontWeight: 'bold', color: '#334155', minWidth: '30px', textAlign: 'right' }}>{item.count}</span>
+                        </div>
+                      </div>
+                    ))}
                   </div>
-                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                    <div style={{ flex: 1, height: '32px', background: '#f1f5f9', borderRadius: '8px', overflow: 'hidden' }}>
-                      <div
-                        style={{
-                          width: `${totalCost > 0 ? (item.total / totalCost) * 100 : 0}%`,
-                          height: '100%',
-                          background: `linear-gradient(90deg, ${chartColors[idx % chartColors.length]}, ${chartColors[idx % chartColors.length]}dd)`,
-                          display: 'flex',
-                          alignItems: 'center',
-                          paddingRight: '12px',
-                          justifyContent: 'flex-end',
-                          color: 'white',
-                          fontSize: '11px',
-                          fontWeight: 'bold',
-                          transition: 'width 0.5s ease',
-                          borderRadius: '8px',
-                        }}
-                      >
-                        ${item.total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                ) : (
+                  <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No data for {selectedMonth} {selectedYear}</p>
+                )}
+              </div>
+            </div>
+
+            {/* Revenue Distribution (capture area) */}
+            <div ref={revenueDistRef} style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px', padding: '16px', marginBottom: '24px' }}>
+              <h3 style={{ fontWeight: 'bold', fontSize: '14px', marginBottom: '16px', color: '#334155' }}>Revenue Distribution by Company</h3>
+              {companySummary.length > 0 ? (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                  {companySummary.map((item, idx) => (
+                    <div key={idx}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', fontSize: '11px' }}>
+                        <span style={{ fontWeight: '600', color: '#475569' }}>{item.company}</span>
+                        <span style={{ color: '#64748b' }}>{totalCost > 0 ? ((item.total / totalCost) * 100).toFixed(1) : '0.0'}%</span>
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <div style={{ flex: 1, height: '32px', background: '#f1f5f9', borderRadius: '8px', overflow: 'hidden' }}>
+                          <div
+                            style={{
+                              width: `${totalCost > 0 ? (item.total / totalCost) * 100 : 0}%`,
+                              height: '100%',
+                              background: `linear-gradient(90deg, ${chartColors[idx % chartColors.length]}, ${chartColors[idx % chartColors.length]}dd)`,
+                              display: 'flex',
+                              alignItems: 'center',
+                              paddingRight: '12px',
+                              justifyContent: 'flex-end',
+                              color: 'white',
+                              fontSize: '11px',
+                              fontWeight: 'bold',
+                              transition: 'width 0.5s ease',
+                              borderRadius: '8px',
+                            }}
+                          >
+                            ${item.total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                          </div>
+                        </div>
                       </div>
                     </div>
+                  ))}
+                </div>
+              ) : (
+                <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No data for {selectedMonth} {selectedYear}</p>
+              )}
+            </div>
+
+            {/* Data Entry Table */}
+            <div style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px' }}>
+              <div style={{ background: '#1d4ed8', color: 'white', padding: '8px 16px', display: 'flex', justifyContent: 'space-between', alignItems: 'center', borderTopLeftRadius: '8px', borderTopRightRadius: '8px' }}>
+                <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+                  <h2 style={{ fontWeight: 'bold', fontSize: '14px' }}>Shipment Details - {selectedMonth} {selectedYear}</h2>
+                  {issueList.length > 0 ? (
+                    <span style={{ display: 'flex', alignItems: 'center', gap: '4px', background: '#fef2f2', color: '#b91c1c', borderRadius: '999px', padding: '2px 4px 2px 10px', fontSize: '12px', fontWeight: '600' }}>
+                      ⚠️ {issueList.length} issue{issueList.length === 1 ? '' : 's'}
+                      <button
+                        onClick={() => jumpToIssue(-1)}
+                        title="Previous issue"
+                        style={{ background: 'none', border: 'none', color: '#b91c1c', cursor: 'pointer', fontSize: '12px', fontWeight: 'bold', padding: '0 4px' }}
+                      >
+                        ‹
+                      </button>
+                      <button
+                        onClick={() => jumpToIssue(1)}
+                        title="Next issue"
+                        style={{ background: 'none', border: 'none', color: '#b91c1c', cursor: 'pointer', fontSize: '12px', fontWeight: 'bold', padding: '0 4px' }}
+                      >
+                        ›
+                      </button>
+                    </span>
+                  ) : (
+                    <span style={{ fontSize: '12px', opacity: 0.85 }}>✓ No issues</span>
+                  )}
+                </div>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  {canEdit && <button
+                    onClick={handleUndo}
+                    disabled={!undoStack.length}
+                    title={undoStack.length ? `Undo ${undoStack[undoStack.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+                    style={{ background: '#2563eb', color: 'white', padding: '6px 12px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: undoStack.length ? 'pointer' : 'default', fontWeight: '600', opacity: undoStack.length ? 1 : 0.5 }}
+                  >
+                    ↶ Undo
+                  </button>}
+                  {canEdit && <button
+                    onClick={handleRedo}
+                    disabled={!redoStack.length}
+                    title={redoStack.length ? `Redo ${redoStack[redoStack.length - 1].label} (Ctrl+Y)` : 'Nothing to redo'}
+                    style={{ background: '#2563eb', color: 'white', padding: '6px 12px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: redoStack.length ? 'pointer' : 'default', fontWeight: '600', opacity: redoStack.length ? 1 : 0.5 }}
+                  >
+                    ↷ Redo
+                  </button>}
+                  <button
+                    onClick={() => setShowTrash((v) => !v)}
+                    style={{ background: showTrash ? '#1e3a8a' : '#2563eb', color: 'white', padding: '6px 16px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', fontWeight: '600', boxShadow: '0 2px 4px rgba(0,0,0,0.2)' }}
+                  >
+                    🗑️ Deleted ({deletedShipments.length})
+                  </button>
+                  <button
+                    onClick={() => setShowMisfiled((v) => !v)}
+                    title={`Rows in ${selectedYear} whose ship date is outside their month`}
+                    style={{ background: showMisfiled ? '#1e3a8a' : '#2563eb', color: 'white', padding: '6px 16px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', fontWeight: '600', boxShadow: '0 2px 4px rgba(0,0,0,0.2)' }}
+                  >
+                    📅 Misfiled{misfiled && misfiled.length > 0 ? ` (${misfiled.length})` : ''}
+                  </button>
+                  <button
+                    onClick={() => setShowActivity((v) => !v)}
+                    style={{ background: showActivity ? '#1e3a8a' : '#2563eb', color: 'white', padding: '6px 16px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', fontWeight: '600', boxShadow: '0 2px 4px rgba(0,0,0,0.2)' }}
+                  >
+                    🕘 Activity
+                  </button>
+                  {canEdit && (
+                    <label
+                      title="When a ship date falls in another month, move the row to that month"
+                      style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', cursor: 'pointer', whiteSpace: 'nowrap' }}
+                    >
+                      <input type="checkbox" checked={autoFileByDate} onChange={toggleAutoFile} />
+                      Auto-file by ship date
+                    </label>
+                  )}
+                  {canEdit && <button
+                    onClick={handleAddRow}
+                    style={{ background: '#2563eb', color: 'white', padding: '6px 16px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', fontWeight: '600', boxShadow: '0 2px 4px rgba(0,0,0,0.2)' }}
+                  >
+                    + Add Row
+                  </button>}
+                </div>
+              </div>
+
+              {/* Misfiled rows across the selected year */}
+              {showMisfiled && (
+                <div style={{ maxHeight: '300px', overflowY: 'auto', borderBottom: '1px solid #cbd5e1', background: '#fffbeb', padding: '8px 16px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+                    <h3 style={{ fontWeight: 'bold', fontSize: '13px', color: '#92400e' }}>Misfiled shipments — {selectedYear}</h3>
+                    {canEdit && misfiled && misfiled.some((e) => YEARS.includes(e.to.year)) && (
+                      <button
+                        onClick={() => fixMisfiled(misfiled)}
+                        style={{ background: '#d97706', color: 'white', padding: '4px 12px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', fontWeight: '600' }}
+                      >
+                        Move all to their months
+                      </button>
+                    )}
                   </div>
+                  {misfiledLoading || !misfiled ? (
+                    <p style={{ fontSize: '12px', color: '#64748b', textAlign: 'center', padding: '12px' }}>Scanning {selectedYear}…</p>
+                  ) : misfiled.length > 0 ? (
+                    <table style={{ width: '100%', fontSize: '12px' }}>
+                      <thead>
+                        <tr style={{ borderBottom: '1px solid #fde68a' }}>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Reference #</th>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Ship Date</th>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Company</th>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Filed under</th>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Belongs in</th>
+                          <th style={{ padding: '4px' }} />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {misfiled.map((e) => (
+                          <tr key={`${e.from.month}:${e.shipment.id}`} style={{ borderBottom: '1px solid #fef3c7' }}>
+                            <td style={{ padding: '4px' }}>{e.shipment.refNum || '—'}</td>
+                            <td style={{ padding: '4px' }}>{e.shipment.shipDate}</td>
+                            <td style={{ padding: '4px' }}>{e.shipment.company}</td>
+                            <td style={{ padding: '4px' }}>
+                              <button
+                                onClick={() => handleMonthChange(e.from.month)}
+                                style={{ color: '#1d4ed8', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', padding: 0, textDecoration: 'underline' }}
+                              >
+                                {e.from.month} {e.from.year}
+                              </button>
+                            </td>
+                            <td style={{ padding: '4px' }}>{e.to.month} {e.to.year}</td>
+                            <td style={{ padding: '4px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                              {canEdit && (YEARS.includes(e.to.year) ? (
+                                <button
+                                  onClick={() => fixMisfiled([e])}
+                                  style={{ color: '#92400e', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: '600' }}
+                                >
+                                  Move
+                                </button>
+                              ) : (
+                                <span style={{ color: '#94a3b8' }}>year not tracked</span>
+                              ))}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <p style={{ fontSize: '12px', color: '#64748b', textAlign: 'center', padding: '12px' }}>Every shipment in {selectedYear} is filed under its ship date's month.</p>
+                  )}
                 </div>
-              ))}
+              )}
+
+              {/* Deleted shipments (trash) */}
+              {showTrash && (
+                <div style={{ maxHeight: '300px', overflowY: 'auto', borderBottom: '1px solid #cbd5e1', background: '#fef2f2', padding: '8px 16px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+                    <h3 style={{ fontWeight: 'bold', fontSize: '13px', color: '#991b1b' }}>Deleted shipments — {selectedMonth} {selectedYear}</h3>
+                    {isAdmin && deletedShipments.length > 0 && (
+                      <button
+                        onClick={() => handlePurgeRows(deletedShipments)}
+                        style={{ background: '#dc2626', color: 'white', padding: '4px 12px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', fontWeight: '600' }}
+                      >
+                        Empty trash
+                      </button>
+                    )}
+                  </div>
+                  {deletedShipments.length > 0 ? (
+                    <table style={{ width: '100%', fontSize: '12px' }}>
+                      <thead>
+                        <tr style={{ borderBottom: '1px solid #fecaca' }}>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Reference #</th>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Ship Date</th>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Company</th>
+                          <th style={{ textAlign: 'right', padding: '4px', fontWeight: '600' }}>Charges</th>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Deleted by</th>
+                          <th style={{ textAlign: 'left', padding: '4px', fontWeight: '600' }}>Deleted at</th>
+                          <th style={{ padding: '4px' }} />
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {deletedShipments.map((s) => (
+                          <tr key={s.id} style={{ borderBottom: '1px solid #fee2e2' }}>
+                            <td style={{ padding: '4px' }}>{s.refNum || '—'}</td>
+                            <td style={{ padding: '4px' }}>{s.shipDate || '—'}</td>
+                            <td style={{ padding: '4px' }}>{s.company}</td>
+                            <td style={{ padding: '4px', textAlign: 'right' }}>${Number(s.shippingCharge || 0).toFixed(2)}</td>
+                            <td style={{ padding: '4px' }}>{s.deletedBy || '—'}</td>
+                            <td style={{ padding: '4px' }}>{s.deletedAt ? new Date(s.deletedAt).toLocaleString() : '—'}</td>
+                            <td style={{ padding: '4px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                              {canEdit && (
+                                <button
+                                  onClick={() => handleRestoreRow(s)}
+                                  style={{ color: '#166534', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: '600' }}
+                                >
+                                  ♻️ Restore
+                                </button>
+                              )}
+                              {isAdmin && (
+                                <button
+                                  onClick={() => handlePurgeRows([s])}
+                                  style={{ color: '#dc2626', background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: '600', marginLeft: '8px' }}
+                                >
+                                  Purge
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <p style={{ fontSize: '12px', color: '#64748b', textAlign: 'center', padding: '12px' }}>No deleted shipments.</p>
+                  )}
+                </div>
+              )}
+
+              {/* Month activity feed */}
+              {showActivity && (
+                <div style={{ maxHeight: '260px', overflowY: 'auto', borderBottom: '1px solid #cbd5e1', background: '#f8fafc', padding: '8px 16px' }}>
+                  {activity.length > 0 ? (
+                    <table style={{ width: '100%', fontSize: '12px' }}>
+                      <tbody>
+                        {activity.map((c) => (
+                          <tr key={c.id} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                            <td style={{ padding: '4px', color: '#64748b', whiteSpace: 'nowrap' }}>{new Date(c.at).toLocaleString()}</td>
+                            <td style={{ padding: '4px', fontWeight: '600', color: '#334155', whiteSpace: 'nowrap' }}>{c.user}</td>
+                            <td style={{ padding: '4px', color: '#475569', whiteSpace: 'nowrap' }}>{c.refNum ? `Ref ${c.refNum}` : `Row ${c.rowId}`}</td>
+                            <td style={{ padding: '4px', color: '#334155' }}>{describeChange(c)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : (
+                    <p style={{ fontSize: '12px', color: '#64748b', textAlign: 'center', padding: '12px' }}>No changes recorded for {selectedMonth} {selectedYear} yet.</p>
+                  )}
+                </div>
+              )}
+
+              {/* Search & filters */}
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', padding: '8px 16px', borderBottom: '1px solid #cbd5e1', background: '#f8fafc', fontSize: '12px' }}>
+                <input
+                  type="search"
+                  value={filters.search}
+                  placeholder="🔎 Search ref #, PO, company…"
+                  onChange={(e) => setFilter('search', e.target.value)}
+                  style={{ padding: '6px 10px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', minWidth: 220 }}
+                />
+                {[
+                  { key: 'company', label: 'All companies', options: companies },
+                  { key: 'agent', label: 'All agents', options: agents },
+                  { key: 'location', label: 'All locations', options: locations },
+                  { key: 'shipMethod', label: 'All ship methods', options: SHIP_METHODS },
+                  { key: 'status', label: 'All statuses', options: SHIPMENT_STATUSES },
+                ].map(({ key, label, options }) => (
+                  <select
+                    key={key}
+                    value={filters[key]}
+                    onChange={(e) => setFilter(key, e.target.value)}
+                    style={{ padding: '6px 8px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', background: filters[key] ? '#dbeafe' : 'white' }}
+                  >
+                    <option value="">{label}</option>
+                    {options.map((o) => <option key={o} value={o}>{o}</option>)}
+                  </select>
+                ))}
+                <span style={{ color: '#64748b' }}>Ship date</span>
+                <input type="date" value={filters.dateFrom} onChange={(e) => setFilter('dateFrom', e.target.value)} style={{ padding: '5px 6px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px' }} />
+                <span style={{ color: '#64748b' }}>to</span>
+                <input type="date" value={filters.dateTo} onChange={(e) => setFilter('dateTo', e.target.value)} style={{ padding: '5px 6px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px' }} />
+                <span style={{ color: '#64748b' }}>Charges $</span>
+                <input type="number" value={filters.chargeMin} placeholder="min" onChange={(e) => setFilter('chargeMin', e.target.value)} style={{ padding: '5px 6px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', width: 80 }} />
+                <span style={{ color: '#64748b' }}>–</span>
+                <input type="number" value={filters.chargeMax} placeholder="max" onChange={(e) => setFilter('chargeMax', e.target.value)} style={{ padding: '5px 6px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', width: 80 }} />
+                <label style={{ display: 'flex', gap: '4px', alignItems: 'center', cursor: 'pointer', color: '#334155' }}>
+                  <input type="checkbox" checked={filterSummaries} onChange={(e) => setFilterSummaries(e.target.checked)} />
+                  Apply to summary &amp; charts
+                </label>
+                {filtersActive && (
+                  <>
+                    <span style={{ color: '#1d4ed8', fontWeight: '600' }}>{visibleRows.length} of {shipments.length} shown</span>
+                    <button
+                      onClick={() => setFilters(EMPTY_FILTERS)}
+                      style={{ padding: '5px 10px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', cursor: 'pointer' }}
+                    >
+                      Clear filters
+                    </button>
+                  </>
+                )}
+              </div>
+
+              {/* Bulk actions for selected rows */}
+              {canEdit && selectedShipments.length > 0 && (
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', padding: '8px 16px', borderBottom: '1px solid #93c5fd', background: '#eff6ff', fontSize: '12px' }}>
+                  <span style={{ fontWeight: 'bold', color: '#1d4ed8' }}>{selectedShipments.length} selected</span>
+                  <span style={{ color: '#64748b' }}>Set</span>
+                  <select
+                    value={bulkField}
+                    onChange={(e) => { setBulkField(e.target.value); setBulkValue(''); }}
+                    style={{ padding: '5px 6px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px' }}
+                  >
+                    <option value="agent">Agent</option>
+                    <option value="company">Company</option>
+                    <option value="shipMethod">Ship Method</option>
+                    <option value="status">Status</option>
+                  </select>
+                  <span style={{ color: '#64748b' }}>to</span>
+                  <select
+                    value={bulkValue}
+                    onChange={(e) => setBulkValue(e.target.value)}
+                    style={{ padding: '5px 6px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px' }}
+                  >
+                    <option value="">Choose…</option>
+                    {bulkFieldOptions[bulkField].map((o) => <option key={o} value={o}>{o}</option>)}
+                  </select>
+                  <button
+                    onClick={handleBulkSetField}
+                    disabled={!bulkValue}
+                    style={{ padding: '5px 10px', background: '#2563eb', color: 'white', border: 'none', borderRadius: '6px', fontSize: '12px', cursor: bulkValue ? 'pointer' : 'default', opacity: bulkValue ? 1 : 0.5, fontWeight: '600' }}
+                  >
+                    Apply
+                  </button>
+                  <span style={{ color: '#cbd5e1' }}>|</span>
+                  <button
+                    onClick={handleBulkDuplicate}
+                    style={{ padding: '5px 10px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', cursor: 'pointer' }}
+                  >
+                    ⧉ Duplicate
+                  </button>
+                  <button
+                    onClick={handleBulkDelete}
+                    style={{ padding: '5px 10px', background: 'white', color: '#dc2626', border: '1px solid #fca5a5', borderRadius: '6px', fontSize: '12px', cursor: 'pointer' }}
+                  >
+                    🗑️ Delete
+                  </button>
+                  <span style={{ color: '#cbd5e1' }}>|</span>
+                  <select
+                    value={bulkTarget.month}
+                    onChange={(e) => setBulkTarget((t) => ({ ...t, month: e.target.value }))}
+                    style={{ padding: '5px 6px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px' }}
+                  >
+                    {MONTHS.map((m) => <option key={m} value={m}>{m}</option>)}
+                  </select>
+                  <select
+                    value={bulkTarget.year}
+                    onChange={(e) => setBulkTarget((t) => ({ ...t, year: Number(e.target.value) }))}
+                    style={{ padding: '5px 6px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px' }}
+                  >
+                    {YEARS.map((y) => <option key={y} value={y}>{y}</option>)}
+                  </select>
+                  <button
+                    onClick={() => handleBulkTransfer('move')}
+                    style={{ padding: '5px 10px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', cursor: 'pointer' }}
+                  >
+                    ➡️ Move
+                  </button>
+                  <button
+                    onClick={() => handleBulkTransfer('copy')}
+                    style={{ padding: '5px 10px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '12px', cursor: 'pointer' }}
+                  >
+                    📋 Copy
+                  </button>
+                  <button
+                    onClick={() => setSelectedIds(new Set())}
+                    style={{ marginLeft: 'auto', padding: '5px 10px', background: 'none', color: '#64748b', border: 'none', fontSize: '12px', cursor: 'pointer', textDecoration: 'underline' }}
+                  >
+                    Clear selection
+                  </button>
+                </div>
+              )}
+
+              <div style={{ overflowX: 'auto' }}>
+                <table ref={gridRef} style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead style={{ background: '#f1f5f9' }}>
+                    <tr>
+                      {canEdit && (
+                        <th style={{ border: '1px solid #cbd5e1', padding: '8px', width: 28, textAlign: 'center' }}>
+                          <input type="checkbox" checked={allVisibleSelected()} onChange={toggleAllVisible} title="Select all shown rows" />
+                        </th>
+                      )}
+                      {GRID_COLUMNS.map((c) => (
+                        <th
+                          key={c.key}
+                          onClick={() => handleSortClick(c.key)}
+                          title="Click to sort"
+                          style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155', cursor: 'pointer', userSelect: 'none', whiteSpace: 'nowrap' }}
+                        >
+                          {c.label}
+                          {sortBy?.key === c.key && <span style={{ color: '#1d4ed8' }}>{sortBy.dir === 'asc' ? ' ▲' : ' ▼'}</span>}
+                        </th>
+                      ))}
+                      <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'center', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>ACTION</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleRows.length > 0 ? (
+                      visibleRows.map(({ shipment, index: idx }, pos) => (
+                        <tr
+                          key={shipment.id}
+                          style={{
+                            background: pos % 2 === 0 ? 'white' : '#f8fafc',
+                            // Someone else is working in this row; otherwise the status color
+                            boxShadow: `inset 4px 0 0 ${remoteRowEditors(shipment.id).length ? remoteRowEditors(shipment.id)[0].color : STATUS_COLORS[statusOf(shipment)].fg}`,
+                            opacity: statusOf(shipment) === 'Cancelled' ? 0.6 : undefined,
+                          }}
+                        >
+                          {canEdit && (
+                            <td style={{ border: '1px solid #cbd5e1', padding: '4px', textAlign: 'center', background: selectedIds.has(String(shipment.id)) ? '#dbeafe' : undefined }}>
+                              <input
+                                type="checkbox"
+                                checked={selectedIds.has(String(shipment.id))}
+                                onChange={() => {}}
+                                onClick={(e) => toggleRowSelected(shipment.id, pos, e.shiftKey)}
+                                title="Select row (Shift+click for a range)"
+                              />
+                            </td>
+                          )}
+                          {GRID_COLUMNS.map((c, col) => {
+                            const remote = remoteEditors[`${shipment.id}:${c.key}`];
+                            const inRange = isCellInRange(pos, col);
+                            const isFocus = cellRange?.focus.pos === pos && cellRange?.focus.col === col;
+                            return (
+                              <td
+                                key={c.key}
+                                style={{
+                                  border: '1px solid #cbd5e1',
+                                  padding: 0,
+                                  position: 'relative',
+                                  background: inRange ? '#dbeafe' : undefined,
+                                  boxShadow: isFocus && !editingCell ? 'inset 0 0 0 2px #2563eb' : undefined,
+                                  outline: remote ? `2px solid ${remote.color}` : undefined,
+                                  outlineOffset: '-2px',
+                                }}
+                                title={remote ? `${remote.name} is editing` : undefined}
+                              >
+                                {renderCell(idx, c.key, shipment[c.key])}
+                                {remote && (
+                                  <span style={{ position: 'absolute', top: '-9px', right: '2px', background: remote.color, color: 'white', fontSize: '9px', fontWeight: 'bold', padding: '0 4px', borderRadius: '3px', pointerEvents: 'none', zIndex: 1 }}>
+                                    {initialsOf(remote.name)}
+                                  </span>
+                                )}
+                              </td>
+                            );
+                          })}
+                          <td style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'center' }}>
+                            <button
+                              onClick={() => setHistoryRow(shipment)}
+                              style={{ color: '#475569', background: 'none', border: 'none', cursor: 'pointer', fontSize: '16px' }}
+                              title="History"
+                            >
+                              🕘
+                            </button>
+                            {canEdit && <button
+                              onClick={() => openChargeEditor(shipment)}
+                              style={{ color: '#166534', background: 'none', border: 'none', cursor: 'pointer', fontSize: '16px' }}
+                              title="Charge breakdown (daily rate, accessorials)"
+                            >
+                              💲
+                            </button>}
+                            {canEdit && <button
+                              onClick={() => handleDeleteRow(idx)}
+                              style={{ color: '#dc2626', background: 'none', border: 'none', cursor: 'pointer', fontSize: '16px' }}
+                              title="Delete"
+                            >
+                              🗑️
+                            </button>}
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan={GRID_COLUMNS.length + (canEdit ? 2 : 1)} style={{ border: '1px solid #cbd5e1', padding: '40px', textAlign: 'center', color: '#64748b', fontSize: '14px' }}>
+                          {shipments.length > 0
+                            ? 'No shipments match the current filters.'
+                            : `No shipments for ${selectedMonth} ${selectedYear}. Click "Add Row" to start entering data.`}
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ padding: '16px', background: '#f8fafc', borderTop: '1px solid #cbd5e1', fontSize: '12px', color: '#64748b', borderBottomLeftRadius: '8px', borderBottomRightRadius: '8px' }}>
+                <p>
+                  <strong>Tips:</strong> Click a cell to select it; double-click, press Enter or start typing to edit • Press{' '}
+                  <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Enter</kbd>
+                  {' '}to move down • Press{' '}
+                  <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Tab</kbd>
+                  {' '}to move right • Press{' '}
+                  <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Esc</kbd>
+                  {' '}to cancel • Press{' '}
+                  <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Ctrl+Z</kbd>
+                  {' '}/{' '}
+                  <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Ctrl+Y</kbd>
+                  {' '}to undo/redo • Shift+click or Shift+arrows select a range •{' '}
+                  <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Ctrl+C</kbd>
+                  {' '}/{' '}
+                  <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Ctrl+V</kbd>
+                  {' '}copy/paste with Excel •{' '}
+                  <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Ctrl+D</kbd>
+                  {' '}fills down • Changes sync in real-time across all users
+                </p>
+              </div>
             </div>
-          ) : (
-            <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No data for {selectedMonth}</p>
-          )}
+          </>
+        )}
+      </div>
+
+      {/* Cross-month move notice with undo */}
+      {fileNotice && (
+        <div style={{ position: 'fixed', bottom: '24px', left: '50%', transform: 'translateX(-50%)', zIndex: 10001, background: '#1e293b', color: 'white', padding: '10px 16px', borderRadius: '8px', fontSize: '13px', display: 'flex', gap: '12px', alignItems: 'center', boxShadow: '0 8px 20px rgba(0,0,0,0.3)' }}>
+          <span>{fileNotice.text}</span>
+          <button
+            onClick={undoFileNotice}
+            style={{ background: 'none', border: 'none', color: '#93c5fd', cursor: 'pointer', fontSize: '13px', fontWeight: 'bold' }}
+          >
+            Undo
+          </button>
+          <button
+            onClick={() => setFileNotice(null)}
+            style={{ background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '13px' }}
+            title="Dismiss"
+          >
+            ✕
+          </button>
         </div>
+      )}
 
-        {/* Data Entry Table */}
-        <div style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '8px' }}>
-          <div style={{ background: '#1d4ed8', color: 'white', padding: '8px 16px', display: 'flex', justifyContent: 'space-between', alignItems: 'center', borderTopLeftRadius: '8px', borderTopRightRadius: '8px' }}>
-            <h2 style={{ fontWeight: 'bold', fontSize: '14px' }}>Shipment Details - {selectedMonth}</h2>
-            <button
-              onClick={handleAddRow}
-              style={{ background: '#2563eb', color: 'white', padding: '6px 16px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', fontWeight: '600', boxShadow: '0 2px 4px rgba(0,0,0,0.2)' }}
+      {/* Charge breakdown */}
+      {chargeEdit && (() => {
+        const row = shipments.find((s) => String(s.id) === chargeEdit.rowId);
+        if (!row) return null;
+        const daily = row.shipMethod === 'Daily rate';
+        const days = rentalDays(row.shipDate, row.returnDate);
+        const num = (v) => (String(v ?? '').trim() === '' || isNaN(Number(v)) ? 0 : Number(v));
+        const base = daily && num(chargeEdit.dailyRate) > 0 ? round2(num(chargeEdit.dailyRate) * (days || 0)) : num(chargeEdit.baseCharge);
+        const extras = ACCESSORIALS.reduce((sum, a) => sum + num(chargeEdit[a.key]), 0);
+        const inputStyle = { padding: '6px 10px', border: '1px solid #cbd5e1', borderRadius: '6px', fontSize: '13px', width: 140, textAlign: 'right' };
+        const labelStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', fontSize: '13px', color: '#334155' };
+        const setAmount = (key, value) => setChargeEdit((d) => ({ ...d, [key]: value }));
+        return (
+          <div
+            onClick={() => setChargeEdit(null)}
+            style={{ position: 'fixed', inset: 0, background: 'rgba(15,23,42,0.5)', zIndex: 10000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}
+          >
+            <div
+              onClick={(e) => e.stopPropagation()}
+              style={{ background: 'white', borderRadius: '12px', width: '95%', maxWidth: '420px', padding: '20px', boxShadow: '0 20px 40px rgba(0,0,0,0.3)', display: 'flex', flexDirection: 'column', gap: '10px' }}
             >
-              + Add Row
-            </button>
+              <h3 style={{ fontWeight: 'bold', fontSize: '16px', color: '#0f172a' }}>
+                Charges — {row.refNum ? `Ref ${row.refNum}` : 'new row'}
+              </h3>
+              <p style={{ fontSize: '12px', color: '#64748b' }}>
+                {row.shipMethod || 'No ship method'} · {row.shipDate || 'no ship date'} → {row.returnDate || 'no return date'}
+              </p>
+              {daily ? (
+                <>
+                  <label style={labelStyle}>
+                    Rate per day ($)
+                    <input type="number" step="0.01" min="0" value={chargeEdit.dailyRate} onChange={(e) => setAmount('dailyRate', e.target.value)} style={inputStyle} autoFocus />
+                  </label>
+                  <div style={labelStyle}>
+                    <span>Days (ship → return)</span>
+                    <strong>{days ?? <span style={{ color: '#dc2626' }}>needs both dates</span>}</strong>
+                  </div>
+                  {num(chargeEdit.dailyRate) > 0 ? (
+                    <div style={labelStyle}><span>Base charge</span><strong>{formatMoney(base)}</strong></div>
+                  ) : (
+                    <label style={labelStyle}>
+                      Base charge ($)
+                      <input type="number" step="0.01" min="0" value={chargeEdit.baseCharge} onChange={(e) => setAmount('baseCharge', e.target.value)} style={inputStyle} />
+                    </label>
+                  )}
+                </>
+              ) : (
+                <label style={labelStyle}>
+                  Base charge ($)
+                  <input type="number" step="0.01" min="0" value={chargeEdit.baseCharge} onChange={(e) => setAmount('baseCharge', e.target.value)} style={inputStyle} autoFocus />
+                </label>
+              )}
+              <div style={{ borderTop: '1px solid #e2e8f0', paddingTop: '10px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                {ACCESSORIALS.map((a) => (
+                  <label key={a.key} style={labelStyle}>
+                    {a.label} ($)
+                    <input type="number" step="0.01" min="0" value={chargeEdit[a.key]} placeholder="0.00" onChange={(e) => setAmount(a.key, e.target.value)} style={inputStyle} />
+                  </label>
+                ))}
+              </div>
+              <div style={{ ...labelStyle, borderTop: '2px solid #cbd5e1', paddingTop: '10px', fontWeight: 'bold', fontSize: '15px' }}>
+                <span>Total</span>
+                <span>{formatMoney(base + extras)}</span>
+              </div>
+              <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '6px' }}>
+                <button
+                  onClick={() => setChargeEdit(null)}
+                  style={{ padding: '8px 16px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={saveChargeEditor}
+                  style={{ padding: '8px 16px', background: '#1d4ed8', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+                >
+                  Save charges
+                </button>
+              </div>
+            </div>
           </div>
+        );
+      })()}
 
-          <div style={{ overflowX: 'auto' }}>
-            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
-              <thead style={{ background: '#f1f5f9' }}>
-                <tr>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>REFERENCE #</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>SHIP DATE</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>RETURN DATE</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>LOCATION</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>RETURN LOCATION</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>COMPANY</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>SHIP METHOD</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>CHARGES</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>PO</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'left', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>AGENT</th>
-                  <th style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'center', fontSize: '12px', fontWeight: 'bold', color: '#334155' }}>ACTION</th>
-                </tr>
-              </thead>
-              <tbody>
-                {shipments.length > 0 ? (
-                  shipments.map((shipment, idx) => (
-                    <tr key={shipment.id} style={{ background: idx % 2 === 0 ? 'white' : '#f8fafc' }}>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'refNum', shipment.refNum)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'shipDate', shipment.shipDate)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'returnDate', shipment.returnDate)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'location', shipment.location)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'returnLocation', shipment.returnLocation)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'company', shipment.company)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'shipMethod', shipment.shipMethod)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'shippingCharge', shipment.shippingCharge)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'po', shipment.po)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: 0 }}>{renderCell(idx, 'agent', shipment.agent)}</td>
-                      <td style={{ border: '1px solid #cbd5e1', padding: '8px', textAlign: 'center' }}>
-                        <button
-                          onClick={() => handleDeleteRow(idx)}
-                          style={{ color: '#dc2626', background: 'none', border: 'none', cursor: 'pointer', fontSize: '16px' }}
-                          title="Delete"
-                        >
-                          🗑️
-                        </button>
-                      </td>
+      {/* Row history */}
+      {historyRow && (
+        <div
+          onClick={() => setHistoryRow(null)}
+          style={{ position: 'fixed', inset: 0, background: 'rgba(15,23,42,0.5)', zIndex: 10000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}
+        >
+          <div
+            onClick={(e) => e.stopPropagation()}
+            style={{ background: 'white', borderRadius: '12px', width: '95%', maxWidth: '720px', maxHeight: '80vh', display: 'flex', flexDirection: 'column', boxShadow: '0 20px 40px rgba(0,0,0,0.3)' }}
+          >
+            <div style={{ padding: '16px', borderBottom: '1px solid #e2e8f0', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <h2 style={{ fontWeight: 'bold', fontSize: '16px', color: '#1e293b' }}>
+                History — {historyRow.refNum ? `Ref ${historyRow.refNum}` : `Row ${historyRow.id}`}
+              </h2>
+              <button
+                onClick={() => setHistoryRow(null)}
+                style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '18px', color: '#64748b' }}
+                title="Close"
+              >
+                ✕
+              </button>
+            </div>
+            <div style={{ overflowY: 'auto', padding: '8px 16px 16px' }}>
+              {rowHistory.length > 0 ? (
+                <table style={{ width: '100%', fontSize: '12px' }}>
+                  <tbody>
+                    {rowHistory.map((c) => (
+                      <tr key={c.id} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                        <td style={{ padding: '4px', color: '#64748b', whiteSpace: 'nowrap' }}>{new Date(c.at).toLocaleString()}</td>
+                        <td style={{ padding: '4px', fontWeight: '600', color: '#334155', whiteSpace: 'nowrap' }}>{c.user}</td>
+                        <td style={{ padding: '4px', color: '#334155' }}>{describeChange(c)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p style={{ fontSize: '13px', color: '#64748b', textAlign: 'center', padding: '20px' }}>No recorded changes for this shipment.</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Import preview */}
+      {importPreview && (() => {
+        const invalidCount = importPreview.rows.filter((r) => r.issues.length > 0).length;
+        const acceptedCount = importIncludeInvalid ? importPreview.rows.length : importPreview.rows.length - invalidCount;
+        return (
+          <div style={{ position: 'fixed', inset: 0, background: 'rgba(15,23,42,0.5)', zIndex: 10000, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+            <div style={{ background: 'white', borderRadius: '12px', width: '95%', maxWidth: '1200px', maxHeight: '90vh', display: 'flex', flexDirection: 'column', boxShadow: '0 20px 40px rgba(0,0,0,0.3)' }}>
+              <div style={{ padding: '16px', borderBottom: '1px solid #e2e8f0' }}>
+                <h2 style={{ fontWeight: 'bold', fontSize: '16px', color: '#1e293b' }}>Import "{importPreview.fileName}" into {selectedMonth} {selectedYear}</h2>
+                <p style={{ fontSize: '12px', color: '#64748b', marginTop: '4px' }}>
+                  {importPreview.rows.length} rows read • {invalidCount > 0
+                    ? <span style={{ color: '#dc2626', fontWeight: 600 }}>{invalidCount} with issues</span>
+                    : <span style={{ color: '#10b981', fontWeight: 600 }}>no issues</span>}
+                </p>
+              </div>
+
+              <div style={{ overflow: 'auto', flex: 1 }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                  <thead style={{ background: '#f1f5f9', position: 'sticky', top: 0 }}>
+                    <tr>
+                      <th style={{ border: '1px solid #cbd5e1', padding: '6px', textAlign: 'left' }}>#</th>
+                      {listColumns.map((c) => (
+                        <th key={c.key} style={{ border: '1px solid #cbd5e1', padding: '6px', textAlign: 'left' }}>{c.header}</th>
+                      ))}
+                      <th style={{ border: '1px solid #cbd5e1', padding: '6px', textAlign: 'left' }}>Issues</th>
                     </tr>
-                  ))
-                ) : (
-                  <tr>
-                    <td colSpan="11" style={{ border: '1px solid #cbd5e1', padding: '40px', textAlign: 'center', color: '#64748b', fontSize: '14px' }}>
-                      No shipments for {selectedMonth}. Click "Add Row" to start entering data.
-                    </td>
-                  </tr>
+                  </thead>
+                  <tbody>
+                    {importPreview.rows.map(({ shipment, issues }, idx) => (
+                      <tr key={shipment.id} style={{ background: issues.length ? '#fef2f2' : idx % 2 === 0 ? 'white' : '#f8fafc' }}>
+                        <td style={{ border: '1px solid #e2e8f0', padding: '4px 6px', color: '#64748b' }}>{idx + 1}</td>
+                        {listColumns.map((c) => (
+                          <td key={c.key} style={{ border: '1px solid #e2e8f0', padding: '4px 6px' }}>
+                            {c.key === 'shippingCharge' ? `$${Number(shipment.shippingCharge).toFixed(2)}` : shipment[c.key]}
+                          </td>
+                        ))}
+                        <td style={{ border: '1px solid #e2e8f0', padding: '4px 6px', color: '#dc2626' }}>{issues.join('; ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ padding: '16px', borderTop: '1px solid #e2e8f0', display: 'flex', gap: '16px', alignItems: 'center', flexWrap: 'wrap', fontSize: '13px' }}>
+                <label style={{ display: 'flex', gap: '6px', alignItems: 'center', cursor: 'pointer' }}>
+                  <input type="radio" checked={importMode === 'append'} onChange={() => setImportMode('append')} />
+                  Append to existing rows
+                </label>
+                <label style={{ display: 'flex', gap: '6px', alignItems: 'center', cursor: 'pointer' }}>
+                  <input type="radio" checked={importMode === 'replace'} onChange={() => setImportMode('replace')} />
+                  Replace month
+                </label>
+                {invalidCount > 0 && (
+                  <label style={{ display: 'flex', gap: '6px', alignItems: 'center', cursor: 'pointer' }}>
+                    <input type="checkbox" checked={importIncludeInvalid} onChange={(e) => setImportIncludeInvalid(e.target.checked)} />
+                    Also import rows with issues
+                  </label>
                 )}
-              </tbody>
-            </table>
+                <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+                  <button
+                    onClick={() => setImportPreview(null)}
+                    style={{ padding: '8px 16px', background: 'white', color: '#334155', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={confirmImport}
+                    disabled={acceptedCount === 0}
+                    style={{ padding: '8px 16px', background: acceptedCount ? '#1e40af' : '#94a3b8', color: 'white', border: 'none', borderRadius: '8px', fontSize: '13px', fontWeight: '600', cursor: acceptedCount ? 'pointer' : 'not-allowed' }}
+                  >
+                    Import {acceptedCount} rows
+                  </button>
+                </div>
+              </div>
+            </div>
           </div>
+        );
+      })()}
+    </div>
+  );
+}
 
-          <div style={{ padding: '16px', background: '#f8fafc', borderTop: '1px solid #cbd5e1', fontSize: '12px', color: '#64748b', borderBottomLeftRadius: '8px', borderBottomRightRadius: '8px' }}>
-            <p>
-              <strong>Tips:</strong> Click any cell to edit • Press{' '}
-              <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Enter</kbd>
-              {' '}to move down • Press{' '}
-              <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Tab</kbd>
-              {' '}to move right • Press{' '}
-              <kbd style={{ padding: '2px 6px', background: 'white', border: '1px solid #cbd5e1', borderRadius: '3px', fontSize: '11px' }}>Esc</kbd>
-              {' '}to cancel • Changes sync in real-time across all users
-            </p>
-          </div>
-        </div>
+// ============================================
+// SIGN-IN
+// ============================================
+function SignIn() {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const run = async (fn) => {
+    setError('');
+    setBusy(true);
+    try {
+      await fn();
+    } catch (e) {
+      console.error('Sign-in failed:', e);
+      setError(e.message || 'Sign-in failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputStyle = { padding: '10px 12px', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '14px', width: '100%' };
+  const buttonStyle = { padding: '10px 12px', border: 'none', borderRadius: '8px', fontSize: '14px', fontWeight: '600', cursor: busy ? 'wait' : 'pointer', width: '100%' };
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#f8fafc', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <form
+        onSubmit={(e) => { e.preventDefault(); run(() => signInWithEmailAndPassword(auth, email, password)); }}
+        style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '12px', padding: '24px', width: 360, display: 'flex', flexDirection: 'column', gap: '12px', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}
+      >
+        <h1 style={{ fontSize: '20px', fontWeight: 'bold', color: '#1e293b' }}>Freight Dashboard</h1>
+        <p style={{ fontSize: '13px', color: '#64748b' }}>Sign in to view and edit shipments. New accounts need an admin's approval first.</p>
+        <input type="email" value={email} placeholder="Email" onChange={(e) => setEmail(e.target.value)} style={inputStyle} required />
+        <input type="password" value={password} placeholder="Password" onChange={(e) => setPassword(e.target.value)} style={inputStyle} required />
+        {error && <p style={{ fontSize: '12px', color: '#dc2626' }}>{error}</p>}
+        <button type="submit" disabled={busy} style={{ ...buttonStyle, background: '#1d4ed8', color: 'white' }}>Sign in</button>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => run(() => createUserWithEmailAndPassword(auth, email, password))}
+          style={{ ...buttonStyle, background: 'white', color: '#1d4ed8', border: '1px solid #1d4ed8' }}
+        >
+          Create account
+        </button>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => run(() => signInWithPopup(auth, googleProvider))}
+          style={{ ...buttonStyle, background: '#f1f5f9', color: '#334155' }}
+        >
+          Continue with Google
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// ============================================
+// PENDING APPROVAL: signed in, but no role granted yet
+// ============================================
+function PendingApproval({ user }) {
+  return (
+    <div style={{ minHeight: '100vh', background: '#f8fafc', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div style={{ background: 'white', border: '1px solid #cbd5e1', borderRadius: '12px', padding: '24px', width: 360, display: 'flex', flexDirection: 'column', gap: '12px', boxShadow: '0 4px 6px rgba(0,0,0,0.1)' }}>
+        <h1 style={{ fontSize: '20px', fontWeight: 'bold', color: '#1e293b' }}>Waiting for approval</h1>
+        <p style={{ fontSize: '13px', color: '#64748b' }}>
+          You are signed in as <strong>{user.email || user.displayName}</strong>. An admin needs to grant you access
+          before you can see freight data. This page updates automatically once they do.
+        </p>
+        <button
+          onClick={() => signOut(auth)}
+          style={{ padding: '10px 12px', border: '1px solid #cbd5e1', borderRadius: '8px', fontSize: '14px', fontWeight: '600', cursor: 'pointer', background: 'white', color: '#334155' }}
+        >
+          Sign out
+        </button>
       </div>
     </div>
   );
 }
 
+// ============================================
+// APP: auth gate + role lookup
+// ============================================
+function App() {
+  const [user, setUser] = useState(undefined); // undefined = still resolving
+  const [role, setRole] = useState(null);
+  const [profile, setProfile] = useState(null);
+
+  useEffect(() => onAuthStateChanged(auth, (u) => setUser(u || null)), []);
+
+  // Subscribe to the signed-in user's profile; create it (as pending) on first sign-in
+  useEffect(() => {
+    if (!user) {
+      setRole(null);
+      setProfile(null);
+      return;
+    }
+    const profileRef = doc(db, 'freight-users', user.uid);
+    const unsub = onSnapshot(
+      profileRef,
+      (snap) => {
+        if (snap.exists()) {
+          setProfile(snap.data());
+          const r = snap.data().role;
+          setRole(ROLES.includes(r) ? r : 'pending');
+        } else {
+          setRole('pending');
+          // Only admins name users (the audit log shows this name; see firestore.rules)
+          setDoc(profileRef, {
+            email: user.email || '',
+            displayName: '',
+            role: 'pending',
+            createdAt: new Date().toISOString(),
+          }).catch((err) => console.error('Failed to create user profile:', err));
+        }
+      },
+      (err) => {
+        console.error('Failed to load user profile:', err);
+        setRole('pending');
+      }
+    );
+    return () => unsub();
+  }, [user]);
+
+  if (user === undefined || (user && !role)) {
+    return <div style={{ padding: '40px', textAlign: 'center', color: '#64748b', fontSize: '14px' }}>Loading…</div>;
+  }
+  if (!user) return <SignIn />;
+  if (role === 'pending') return <PendingApproval user={user} />;
+  return <FreightDashboard user={user} role={role} profile={profile} />;
+}
+
 export default App;
@@ -1,8 +1,56 @@
 import { render, screen } from '@testing-library/react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { doc, onSnapshot, setDoc } from 'firebase/firestore';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+jest.mock('./firebase', () => ({ db: {}, auth: {}, googleProvider: {} }));
+jest.mock('firebase/auth', () => ({
+  ...jest.requireActual('firebase/auth'),
+  onAuthStateChanged: jest.fn(),
+  signOut: jest.fn(),
+}));
+jest.mock('firebase/firestore', () => ({
+  ...jest.requireActual('firebase/firestore'),
+  doc: jest.fn(),
+  onSnapshot: jest.fn(),
+  setDoc: jest.fn(),
+}));
+
+// Signs in as `user` (null = signed out) and serves `profile` as their freight-users doc
+// (CRA resets mock implementations before each test, so they are set up here)
+const signInAs = (user, profile = null) => {
+  doc.mockReturnValue({});
+  setDoc.mockResolvedValue();
+  onAuthStateChanged.mockImplementation((auth, next) => {
+    next(user);
+    return () => {};
+  });
+  onSnapshot.mockImplementation((ref, next) => {
+    next({ exists: () => !!profile, data: () => profile });
+    return () => {};
+  });
+};
+
+describe('sign-in gate', () => {
+  test('shows the sign-in form when signed out', () => {
+    signInAs(null);
+    render(<App />);
+    expect(screen.getByText('Freight Dashboard')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Sign in' })).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('Email')).toBeInTheDocument();
+  });
+
+  test('holds pending accounts at the approval screen', () => {
+    signInAs({ uid: 'u1', email: 'new@example.com' }, { email: 'new@example.com', role: 'pending' });
+    render(<App />);
+    expect(screen.getByText('Waiting for approval')).toBeInTheDocument();
+    expect(screen.getByText('new@example.com')).toBeInTheDocument();
+    expect(screen.queryByText('Freight Dashboard')).not.toBeInTheDocument();
+  });
+
+  test('treats a missing profile as pending', () => {
+    signInAs({ uid: 'u2', email: 'first@example.com' });
+    render(<App />);
+    expect(screen.getByText('Waiting for approval')).toBeInTheDocument();
+  });
 });
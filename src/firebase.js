@@ -1,5 +1,8 @@
 import { initializeApp } from 'firebase/app';
-import { getFirestore } from 'firebase/firestore';
+import {
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator,
+} from 'firebase/firestore';
+import { getAuth, GoogleAuthProvider, connectAuthEmulator } from 'firebase/auth';
 
 // Replace with YOUR Firebase config from step 3
 const firebaseConfig = {
@@ -13,4 +16,16 @@ const firebaseConfig = {
 };
 
 const app = initializeApp(firebaseConfig);
-export const db = getFirestore(app);
\ No newline at end of file
+// Offline persistence: edits made without a connection are kept in IndexedDB
+// and synced when the connection comes back (shared across open tabs).
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
+export const auth = getAuth(app);
+export const googleProvider = new GoogleAuthProvider();
+
+// Local emulators (see firebase.json): REACT_APP_USE_EMULATORS=true npm start
+if (process.env.REACT_APP_USE_EMULATORS === 'true') {
+  connectFirestoreEmulator(db, 'localhost', 8080);
+  connectAuthEmulator(auth, 'http://localhost:9099');
+}
\ No newline at end of file
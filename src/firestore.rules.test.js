@@ -0,0 +1,235 @@
+/**
+ * @jest-environment node
+ */
+// Security rules specs. They need the Firestore emulator, so they are skipped
+// in a plain `npm test`; run them with `npm run test:rules`.
+import fs from 'fs';
+import path from 'path';
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from '@firebase/rules-unit-testing';
+import {
+  doc, getDoc, setDoc, updateDoc, deleteDoc, addDoc, collection, serverTimestamp, writeBatch,
+} from 'firebase/firestore';
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const MONTH = '2025-March';
+const USERS = {
+  pending: { email: 'pending@example.com', displayName: 'Pat Pending', role: 'pending' },
+  viewer: { email: 'viewer@example.com', displayName: 'Val Viewer', role: 'viewer' },
+  editor: { email: 'editor@example.com', displayName: 'Ed Editor', role: 'editor' },
+  admin: { email: 'admin@example.com', displayName: '', role: 'admin' },
+};
+
+describeWithEmulator('firestore.rules', () => {
+  let env;
+
+  beforeAll(async () => {
+    env = await initializeTestEnvironment({
+      projectId: 'freight-rules-test',
+      firestore: { rules: fs.readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(() => env.cleanup());
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (ctx) => {
+      const admin = ctx.firestore();
+      await Promise.all(Object.entries(USERS).map(([uid, profile]) => setDoc(doc(admin, 'freight-users', uid), profile)));
+      await setDoc(doc(admin, 'freight-config', 'global'), { companies: ['Acme'] });
+      await setDoc(doc(admin, 'freight-carriers', 'Acme'), { rateCard: {} });
+      await setDoc(doc(admin, 'freight-budgets', MONTH), { total: 1000 });
+      await setDoc(doc(admin, 'freight-data', MONTH), { month: 'March', year: 2025 });
+      await setDoc(doc(admin, 'freight-data', MONTH, 'shipments', '1'), { id: 1, refNum: 'A1', shippingCharge: 100 });
+    });
+  });
+
+  const as = (uid, email = USERS[uid]?.email) =>
+    (uid ? env.authenticatedContext(uid, { email }) : env.unauthenticatedContext()).firestore();
+  const shipment = (db) => doc(db, 'freight-data', MONTH, 'shipments', '1');
+
+  describe('reading freight data', () => {
+    const paths = [
+      ['freight-data', MONTH],
+      ['freight-data', MONTH, 'shipments', '1'],
+      ['freight-config', 'global'],
+      ['freight-carriers', 'Acme'],
+      ['freight-budgets', MONTH],
+    ];
+
+    test.each(paths)('anonymous visitors cannot read %s/%s', async (...segments) => {
+      await assertFails(getDoc(doc(as(null), ...segments)));
+    });
+
+    test.each(paths)('pending users cannot read %s/%s', async (...segments) => {
+      await assertFails(getDoc(doc(as('pending'), ...segments)));
+    });
+
+    test.each(paths)('viewers can read %s/%s', async (...segments) => {
+      await assertSucceeds(getDoc(doc(as('viewer'), ...segments)));
+    });
+
+    test('signed-in users without a profile cannot read', async () => {
+      await assertFails(getDoc(shipment(as('stranger'))));
+    });
+  });
+
+  describe('user profiles', () => {
+    test('a new user can create their own profile only as pending', async () => {
+      const db = as('newbie', 'n@example.com');
+      await assertFails(setDoc(doc(db, 'freight-users', 'newbie'), { email: 'n@example.com', role: 'viewer' }));
+      await assertSucceeds(setDoc(doc(db, 'freight-users', 'newbie'), { email: 'n@example.com', role: 'pending', displayName: '' }));
+    });
+
+    test('a new profile must use the sign-in email and leave naming to admins', async () => {
+      const db = as('newbie', 'n@example.com');
+      const profile = doc(db, 'freight-users', 'newbie');
+      await assertFails(setDoc(profile, { email: 'j.holland@example.com', role: 'pending' }));
+      await assertFails(setDoc(profile, { email: 'n@example.com', role: 'pending', displayName: 'J. Holland' }));
+      await assertSucceeds(setDoc(profile, { email: 'n@example.com', role: 'pending' }));
+    });
+
+    test('admins can set display names', async () => {
+      await assertSucceeds(updateDoc(doc(as('admin'), 'freight-users', 'pending'), { displayName: 'Pat P.' }));
+    });
+
+    test('users cannot create a profile for someone else', async () => {
+      await assertFails(setDoc(doc(as('newbie'), 'freight-users', 'other'), { role: 'pending' }));
+    });
+
+    test('pending users can read their own profile but not promote themselves', async () => {
+      const db = as('pending');
+      await assertSucceeds(getDoc(doc(db, 'freight-users', 'pending')));
+      await assertFails(updateDoc(doc(db, 'freight-users', 'pending'), { role: 'viewer' }));
+    });
+
+    test('only admins can change roles', async () => {
+      await assertFails(updateDoc(doc(as('editor'), 'freight-users', 'pending'), { role: 'viewer' }));
+      await assertSucceeds(updateDoc(doc(as('admin'), 'freight-users', 'pending'), { role: 'viewer' }));
+    });
+  });
+
+  describe('writing shipments', () => {
+    test('viewers cannot edit shipments', async () => {
+      await assertFails(updateDoc(shipment(as('viewer')), { shippingCharge: 200 }));
+    });
+
+    test('editors can edit shipments', async () => {
+      await assertSucceeds(updateDoc(shipment(as('editor')), { shippingCharge: 200 }));
+    });
+
+    test('pending users cannot edit shipments', async () => {
+      await assertFails(updateDoc(shipment(as('pending')), { shippingCharge: 200 }));
+    });
+
+    test('admins can delete shipments', async () => {
+      await assertSucceeds(deleteDoc(shipment(as('admin'))));
+    });
+
+    test('editors cannot delete shipments', async () => {
+      await assertFails(deleteDoc(shipment(as('editor'))));
+    });
+
+    // Deletes shipment 1 in one batch with `copy` (written as April's shipment 7,
+    // if given) and the month's `movedOut` pointer to `dest`
+    const moveBatch = (db, dest, copy) => {
+      const batch = writeBatch(db);
+      if (copy) batch.set(doc(db, 'freight-data', '2025-April', 'shipments', '7'), copy);
+      batch.update(doc(db, 'freight-data', MONTH), { movedOut: { 1: { ...dest, at: serverTimestamp() } } });
+      batch.delete(shipment(db));
+      return batch.commit();
+    };
+
+    test('editors can delete a row they move to another month in the same batch', async () => {
+      await assertSucceeds(moveBatch(as('editor'), { month: '2025-April', id: '7' }, { id: 7, refNum: 'A1' }));
+    });
+
+    test('editors cannot delete a row that points at itself', async () => {
+      await assertFails(moveBatch(as('editor'), { month: MONTH, id: '1' }));
+    });
+
+    test('editors cannot delete a row that points at an unrelated shipment', async () => {
+      await assertFails(moveBatch(as('editor'), { month: '2025-April', id: '7' }, { id: 7, refNum: 'B2' }));
+    });
+
+    test('editors cannot delete a row that points at a missing copy', async () => {
+      await assertFails(moveBatch(as('editor'), { month: '2025-April', id: '404' }, { id: 7, refNum: 'A1' }));
+    });
+
+    test('a pointer left from an earlier move does not allow a later delete', async () => {
+      const db = as('editor');
+      await moveBatch(db, { month: '2025-April', id: '7' }, { id: 7, refNum: 'A1' });
+      await env.withSecurityRulesDisabled((ctx) =>
+        setDoc(doc(ctx.firestore(), 'freight-data', MONTH, 'shipments', '1'), { id: 1, refNum: 'A1' }));
+      const batch = writeBatch(db);
+      batch.update(doc(db, 'freight-data', MONTH), { lastModified: 'now' });
+      batch.delete(shipment(db));
+      await assertFails(batch.commit());
+    });
+  });
+
+  describe('audit log', () => {
+    const entry = (overrides = {}) => ({
+      rowId: '1', refNum: 'A1', action: 'update', field: 'shippingCharge', oldValue: 100, newValue: 200,
+      uid: 'editor', user: 'Ed Editor', at: serverTimestamp(), ...overrides,
+    });
+    const changes = (db) => collection(db, 'freight-data', MONTH, 'changes');
+
+    test('editors can append entries as themselves, stamped by the server', async () => {
+      await assertSucceeds(addDoc(changes(as('editor')), entry()));
+    });
+
+    test('the label falls back to the profile email', async () => {
+      await assertSucceeds(addDoc(changes(as('admin')), entry({ uid: 'admin', user: 'admin@example.com' })));
+    });
+
+    test('entries cannot be backdated', async () => {
+      await assertFails(addDoc(changes(as('editor')), entry({ at: '2020-01-01T00:00:00.000Z' })));
+    });
+
+    test('entries cannot claim another uid or name', async () => {
+      await assertFails(addDoc(changes(as('editor')), entry({ uid: 'admin' })));
+      await assertFails(addDoc(changes(as('editor')), entry({ user: 'Someone Else' })));
+    });
+
+    test('users cannot rename themselves to change the recorded label', async () => {
+      await assertFails(updateDoc(doc(as('editor'), 'freight-users', 'editor'), { displayName: 'Someone Else' }));
+    });
+
+    test('viewers cannot write entries', async () => {
+      await assertFails(addDoc(changes(as('viewer')), entry({ uid: 'viewer', user: 'Val Viewer' })));
+    });
+  });
+
+  describe('admin-only config', () => {
+    test.each(['viewer', 'editor'])('%s cannot change global config or budgets', async (uid) => {
+      const db = as(uid);
+      await assertFails(updateDoc(doc(db, 'freight-config', 'global'), { companies: [] }));
+      await assertFails(setDoc(doc(db, 'freight-budgets', MONTH), { total: 1 }));
+      await assertFails(setDoc(doc(db, 'freight-carriers', 'Acme'), { rateCard: {} }));
+    });
+
+    test('admins can change global config and budgets', async () => {
+      const db = as('admin');
+      await assertSucceeds(updateDoc(doc(db, 'freight-config', 'global'), { companies: [] }));
+      await assertSucceeds(setDoc(doc(db, 'freight-budgets', MONTH), { total: 1 }));
+    });
+  });
+
+  describe('presence', () => {
+    test('approved users write only their own presence entry', async () => {
+      const db = as('viewer');
+      await assertSucceeds(setDoc(doc(db, 'freight-data', MONTH, 'presence', 'viewer'), { uid: 'viewer' }));
+      await assertFails(setDoc(doc(db, 'freight-data', MONTH, 'presence', 'editor'), { uid: 'editor' }));
+    });
+
+    test('pending users cannot announce presence', async () => {
+      await assertFails(setDoc(doc(as('pending'), 'freight-data', MONTH, 'presence', 'pending'), { uid: 'pending' }));
+    });
+  });
+});
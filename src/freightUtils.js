@@ -0,0 +1,344 @@
+import * as XLSX from 'xlsx';
+
+// Pure shipment helpers shared by the dashboard (App.js). Nothing in here
+// touches Firestore or React, so it is all covered by freightUtils.test.js.
+
+// ============================================
+// MONTHS
+// ============================================
+export const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// The month document a ship date belongs in; null for blank/unparseable dates
+export const monthOfDate = (iso) => {
+  const m = /^(\d{4})-(\d{2})-\d{2}$/.exec(iso || '');
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return null;
+  return { year: Number(m[1]), month: MONTHS[Number(m[2]) - 1] };
+};
+
+// ============================================
+// EXCEL/CSV IMPORT
+// ============================================
+// Normalize a spreadsheet date cell to YYYY-MM-DD ('' if blank, null if invalid)
+export const normalizeImportDate = (v) => {
+  if (v == null || v === '') return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  if (v instanceof Date) {
+    if (isNaN(v.getTime())) return null;
+    return `${v.getFullYear()}-${pad(v.getMonth() + 1)}-${pad(v.getDate())}`;
+  }
+  if (typeof v === 'number') {
+    const d = XLSX.SSF.parse_date_code(v);
+    return d ? `${d.y}-${pad(d.m)}-${pad(d.d)}` : null;
+  }
+  const str = String(v).trim();
+  if (!str) return '';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
+  const parsed = new Date(str);
+  if (isNaN(parsed.getTime())) return null;
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+};
+
+// Parse a charge cell ("$1,234.50" -> 1234.5); null if not numeric
+export const normalizeImportCharge = (v) => {
+  if (v == null || v === '') return 0;
+  if (typeof v === 'number') return v;
+  const num = Number(String(v).replace(/[$,\s]/g, ''));
+  return isNaN(num) ? null : num;
+};
+
+// ============================================
+// SAVING SHIPMENTS
+// ============================================
+// Bookkeeping fields that are not worth an audit entry
+// (trash moves are logged as 'trash'/'restore' actions instead)
+export const UNAUDITED_FIELDS = ['order', 'deleted', 'deletedAt', 'deletedBy', 'statusHistory'];
+
+// What changed between two versions of a month's shipment list: new rows are
+// created, edited rows get a field-level patch (undefined = remove the field),
+// missing rows are deleted. `writes` are { type: 'set' | 'update' | 'delete', id, data }
+// and `log` the audit entries to append. Missing rows are logged as purged, or as
+// moved when `movedTo` is given.
+export const planShipmentChanges = (prevList, nextList, movedTo = null) => {
+  const prevById = new Map(prevList.map((s) => [String(s.id), s]));
+  const nextIds = new Set(nextList.map((s) => String(s.id)));
+  const writes = [];
+  const log = [];
+
+  const logChange = (row, action, field = null, oldValue = null, newValue = null) => {
+    log.push({
+      rowId: String(row.id),
+      refNum: row.refNum || '',
+      action,
+      field,
+      oldValue: oldValue ?? null,
+      newValue: newValue ?? null,
+    });
+  };
+
+  nextList.forEach((s) => {
+    const prev = prevById.get(String(s.id));
+    if (!prev) {
+      writes.push({ type: 'set', id: s.id, data: { ...s, order: s.order ?? s.id } });
+      logChange(s, 'create');
+      return;
+    }
+    if (!prev.deleted && s.deleted) logChange(s, 'trash');
+    if (prev.deleted && !s.deleted) logChange(s, 'restore');
+    const patch = {};
+    Object.keys({ ...prev, ...s }).forEach((k) => {
+      if (JSON.stringify(prev[k]) !== JSON.stringify(s[k])) {
+        patch[k] = s[k];
+        if (!UNAUDITED_FIELDS.includes(k)) logChange(s, 'update', k, prev[k], s[k]);
+      }
+    });
+    if (Object.keys(patch).length) writes.push({ type: 'update', id: s.id, data: patch });
+  });
+
+  prevList.forEach((s) => {
+    if (!nextIds.has(String(s.id))) {
+      writes.push({ type: 'delete', id: s.id });
+      if (movedTo) logChange(s, 'move', null, null, movedTo);
+      else logChange(s, 'purge');
+    }
+  });
+
+  return { writes, log };
+};
+
+// ============================================
+// SHIPMENTS
+// ============================================
+// Ship method options for autocomplete
+export const SHIP_METHODS = ['Round Trip', 'One Way', 'Daily rate'];
+
+// Lifecycle of a row; rows from before statuses count as Booked. Every
+// transition is appended to `statusHistory` ({ status, at, by }) on save.
+export const SHIPMENT_STATUSES = ['Quoted', 'Booked', 'In Transit', 'Delivered', 'Returned', 'Invoiced', 'Cancelled'];
+export const DEFAULT_STATUS = 'Booked';
+export const statusOf = (s) => (SHIPMENT_STATUSES.includes(s.status) ? s.status : DEFAULT_STATUS);
+
+// Quotes and cancellations are not committed spend: totals, budgets and commissions skip them
+export const UNCOMMITTED_STATUSES = ['Quoted', 'Cancelled'];
+export const isCommitted = (s) => !UNCOMMITTED_STATUSES.includes(statusOf(s));
+
+// Append a history entry for new rows and rows whose status changed
+export const stampStatus = (prev, s, by) => {
+  if (prev && statusOf(prev) === statusOf(s)) return s;
+  if (!SHIPMENT_STATUSES.includes(s.status ?? DEFAULT_STATUS)) return s; // typo: left for validation
+  const status = statusOf(s);
+  return { ...s, status, statusHistory: [...(s.statusHistory || []), { status, at: new Date().toISOString(), by }] };
+};
+
+// A row nobody has typed into yet (what initializeMonths seeds)
+export const isBlankShipment = (s) =>
+  !s.refNum && !s.shipDate && !s.returnDate && !s.po && !Number(s.shippingCharge || 0);
+
+// Legacy bare-month rows merged into their year-qualified month. Rows typed into
+// the target are kept, seeded blank rows give way, and legacy rows the target
+// already has (same id or reference #) are not copied twice.
+export const mergeLegacyRows = (targetRows, legacyRows) => {
+  const kept = targetRows.filter((s) => !isBlankShipment(s));
+  const refKey = (s) => String(s.refNum || '').trim().toLowerCase();
+  const ids = new Set(kept.map((s) => String(s.id)));
+  const refs = new Set(kept.map(refKey).filter(Boolean));
+  let order = kept.reduce((max, s) => Math.max(max, Number(s.order ?? s.id) || 0), -1) + 1;
+  const added = [];
+  legacyRows.forEach((s) => {
+    const ref = refKey(s);
+    if (ids.has(String(s.id)) || (ref && refs.has(ref))) return;
+    ids.add(String(s.id));
+    if (ref) refs.add(ref);
+    added.push({ ...s, order: order++ });
+  });
+  return [...kept, ...added];
+};
+
+// ============================================
+// CHARGE BREAKDOWN
+// `shippingCharge` is always the row total. Itemized rows also carry
+// `baseCharge` (line haul) and accessorial amounts; "Daily rate" rows with a
+// `dailyRate` get their base from rate × days between ship and return dates.
+// ============================================
+export const ACCESSORIALS = [
+  { key: 'fuelSurcharge', label: 'Fuel Surcharge' },
+  { key: 'liftgate', label: 'Liftgate' },
+  { key: 'afterHours', label: 'After Hours' },
+];
+
+export const round2 = (n) => Math.round(n * 100) / 100;
+
+// Days billed between two YYYY-MM-DD dates (a same-day return counts as 1); null if unknown
+export const rentalDays = (shipDate, returnDate) => {
+  const parse = (d) => (/^\d{4}-\d{2}-\d{2}$/.test(d || '') ? Date.UTC(...d.split('-').map((n, i) => Number(n) - (i === 1 ? 1 : 0))) : null);
+  const from = parse(shipDate);
+  const to = parse(returnDate);
+  if (from == null || to == null || to < from) return null;
+  return Math.max(1, Math.round((to - from) / 86400000));
+};
+
+export const usesDailyRate = (s) => s.shipMethod === 'Daily rate' && Number(s.dailyRate) > 0;
+export const accessorialTotal = (s) => ACCESSORIALS.reduce((sum, a) => sum + Number(s[a.key] || 0), 0);
+export const hasItemizedCharge = (s) => usesDailyRate(s) || accessorialTotal(s) > 0 || s.baseCharge != null;
+
+// { days, base, accessorials, total } for display/export
+export const chargeBreakdown = (s) => {
+  const days = rentalDays(s.shipDate, s.returnDate);
+  const accessorials = accessorialTotal(s);
+  const base = usesDailyRate(s)
+    ? round2(Number(s.dailyRate) * (days || 0))
+    : s.baseCharge != null
+    ? Number(s.baseCharge)
+    : Number(s.shippingCharge || 0) - accessorials;
+  return { days, base, accessorials, total: round2(base + accessorials) };
+};
+
+// Recompute an itemized row's base and total. A total typed into Charges (or a
+// row without a base yet) keeps the total and backs the accessorials out of it.
+export const deriveCharges = (prev, s) => {
+  if (!hasItemizedCharge(s)) return s;
+  const accessorials = accessorialTotal(s);
+  const typedTotal = prev && Number(s.shippingCharge || 0) !== Number(prev.shippingCharge || 0);
+  let base;
+  if (usesDailyRate(s)) base = chargeBreakdown(s).base;
+  else if (s.baseCharge == null || typedTotal) base = Number(s.shippingCharge || 0) - accessorials;
+  else base = Number(s.baseCharge);
+  base = round2(base);
+  const total = round2(base + accessorials);
+  if (s.baseCharge === base && Number(s.shippingCharge) === total) return s;
+  return { ...s, baseCharge: base, shippingCharge: total };
+};
+
+// ============================================
+// VALIDATION
+// Returns { "<rowId>:<field>": [reasons] } for the grid. Untouched blank rows
+// are skipped so freshly seeded months don't light up.
+// ============================================
+export const validateShipments = (rows, { companies, locations, agents, year, month }) => {
+  const issues = {};
+  const add = (row, field, reason) => {
+    const key = `${row.id}:${field}`;
+    (issues[key] = issues[key] || []).push(reason);
+  };
+  const monthPrefix = `${year}-${String(MONTHS.indexOf(month) + 1).padStart(2, '0')}`;
+
+  const refCounts = {};
+  rows.forEach((s) => {
+    const ref = String(s.refNum || '').trim().toLowerCase();
+    if (ref) refCounts[ref] = (refCounts[ref] || 0) + 1;
+  });
+
+  rows.forEach((s) => {
+    if (isBlankShipment(s)) return;
+
+    if (s.company && !companies.includes(s.company)) add(s, 'company', `Unknown company "${s.company}"`);
+    if (s.location && !locations.includes(s.location)) add(s, 'location', `Unknown location "${s.location}"`);
+    if (s.returnLocation && !locations.includes(s.returnLocation)) add(s, 'returnLocation', `Unknown location "${s.returnLocation}"`);
+    if (s.agent && !agents.includes(s.agent)) add(s, 'agent', `Unknown agent "${s.agent}"`);
+    if (s.shipMethod && !SHIP_METHODS.includes(s.shipMethod)) add(s, 'shipMethod', `Unknown ship method "${s.shipMethod}"`);
+    if (s.status && !SHIPMENT_STATUSES.includes(s.status)) add(s, 'status', `Unknown status "${s.status}"`);
+
+    if (s.shipDate && !s.shipDate.startsWith(monthPrefix)) {
+      add(s, 'shipDate', `Ship date is outside ${month} ${year}`);
+    }
+    if (s.shipDate && s.returnDate && s.returnDate < s.shipDate) {
+      add(s, 'returnDate', 'Return date is before ship date');
+    }
+    if (usesDailyRate(s) && rentalDays(s.shipDate, s.returnDate) == null) {
+      add(s, 'shippingCharge', 'Daily rate needs ship and return dates to compute the charge');
+    }
+
+    const ref = String(s.refNum || '').trim().toLowerCase();
+    if (ref && refCounts[ref] > 1) add(s, 'refNum', `Duplicate reference # (${refCounts[ref]} rows)`);
+    if (!String(s.po || '').trim()) add(s, 'po', 'Missing PO');
+  });
+  return issues;
+};
+
+// ============================================
+// SHIPMENT DETAILS GRID
+// ============================================
+// Shipment Details grid columns (order = Tab order); `type` drives sorting
+export const GRID_COLUMNS = [
+  { key: 'refNum',         label: 'REFERENCE #',     type: 'text' },
+  { key: 'status',         label: 'STATUS',          type: 'text' },
+  { key: 'shipDate',       label: 'SHIP DATE',       type: 'date' },
+  { key: 'returnDate',     label: 'RETURN DATE',     type: 'date' },
+  { key: 'location',       label: 'LOCATION',        type: 'text' },
+  { key: 'returnLocation', label: 'RETURN LOCATION', type: 'text' },
+  { key: 'company',        label: 'COMPANY',         type: 'text' },
+  { key: 'shipMethod',     label: 'SHIP METHOD',     type: 'text' },
+  { key: 'shippingCharge', label: 'CHARGES',         type: 'number' },
+  { key: 'po',             label: 'PO',              type: 'text' },
+  { key: 'agent',          label: 'AGENT',           type: 'text' },
+];
+
+// Shipment Details filters (blank = no filter)
+export const EMPTY_FILTERS = {
+  search: '',
+  company: '',
+  agent: '',
+  location: '',
+  shipMethod: '',
+  status: '',
+  dateFrom: '',
+  dateTo: '',
+  chargeMin: '',
+  chargeMax: '',
+};
+
+// Whether a row passes the Shipment Details filters (see EMPTY_FILTERS)
+export const matchesFilters = (s, f) => {
+  if (f.company && s.company !== f.company) return false;
+  if (f.agent && s.agent !== f.agent) return false;
+  if (f.location && s.location !== f.location && s.returnLocation !== f.location) return false;
+  if (f.shipMethod && s.shipMethod !== f.shipMethod) return false;
+  if (f.status && statusOf(s) !== f.status) return false;
+  if (f.dateFrom && (!s.shipDate || s.shipDate < f.dateFrom)) return false;
+  if (f.dateTo && (!s.shipDate || s.shipDate > f.dateTo)) return false;
+  const charge = Number(s.shippingCharge || 0);
+  if (f.chargeMin !== '' && charge < Number(f.chargeMin)) return false;
+  if (f.chargeMax !== '' && charge > Number(f.chargeMax)) return false;
+  if (f.search) {
+    const needle = f.search.toLowerCase();
+    const haystack = GRID_COLUMNS.map((c) => String(s[c.key] ?? '')).join(' ').toLowerCase();
+    if (!haystack.includes(needle)) return false;
+  }
+  return true;
+};
+
+// Sort comparator for the grid; `sortBy` is { key, dir: 'asc' | 'desc' }
+export const compareShipments = (a, b, sortBy) => {
+  const col = GRID_COLUMNS.find((c) => c.key === sortBy.key);
+  const va = a[sortBy.key];
+  const vb = b[sortBy.key];
+  let cmp;
+  if (col.type === 'number') {
+    cmp = Number(va || 0) - Number(vb || 0);
+  } else if (col.key === 'status') {
+    cmp = SHIPMENT_STATUSES.indexOf(statusOf(a)) - SHIPMENT_STATUSES.indexOf(statusOf(b));
+  } else if (col.type === 'date') {
+    // Blank dates sort last regardless of direction
+    if (!va || !vb) return !va && !vb ? 0 : !va ? 1 : -1;
+    cmp = va.localeCompare(vb);
+  } else {
+    cmp = String(va ?? '').localeCompare(String(vb ?? ''), undefined, { sensitivity: 'base', numeric: true });
+  }
+  return sortBy.dir === 'asc' ? cmp : -cmp;
+};
+
+// Group shipments by a key and total them, biggest spend first
+export const summarizeBy = (rows, keyFn) => {
+  const summary = {};
+  rows.forEach((s) => {
+    const key = keyFn(s) || '(Unassigned)';
+    if (!summary[key]) summary[key] = { count: 0, total: 0 };
+    summary[key].count += 1;
+    summary[key].total += Number(s.shippingCharge || 0);
+  });
+  return Object.entries(summary)
+    .map(([key, data]) => ({ key, ...data }))
+    .sort((a, b) => b.total - a.total);
+};
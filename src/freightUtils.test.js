@@ -0,0 +1,567 @@
+import {
+  monthOfDate, mergeLegacyRows, normalizeImportDate, normalizeImportCharge, planShipmentChanges, validateShipments,
+  EMPTY_FILTERS, matchesFilters, compareShipments, summarizeBy, rentalDays, chargeBreakdown, deriveCharges,
+  isCommitted, stampStatus,
+} from './freightUtils';
+
+describe('monthOfDate', () => {
+  test('maps an ISO ship date to its year and month', () => {
+    expect(monthOfDate('2025-03-14')).toEqual({ year: 2025, month: 'March' });
+    expect(monthOfDate('2026-01-01')).toEqual({ year: 2026, month: 'January' });
+    expect(monthOfDate('2025-12-31')).toEqual({ year: 2025, month: 'December' });
+  });
+
+  test('returns null for blank dates', () => {
+    expect(monthOfDate('')).toBeNull();
+    expect(monthOfDate(undefined)).toBeNull();
+    expect(monthOfDate(null)).toBeNull();
+  });
+
+  test('returns null for dates that are not YYYY-MM-DD', () => {
+    expect(monthOfDate('03/14/2025')).toBeNull();
+    expect(monthOfDate('2025-3-14')).toBeNull();
+    expect(monthOfDate('2025-03-14T10:00:00Z')).toBeNull();
+  });
+
+  test('returns null for out-of-range months', () => {
+    expect(monthOfDate('2025-00-10')).toBeNull();
+    expect(monthOfDate('2025-13-10')).toBeNull();
+  });
+});
+
+describe('mergeLegacyRows', () => {
+  const blank = { id: 1, refNum: '', shippingCharge: 0, order: 1 };
+
+  test('replaces seeded blank rows with the legacy rows, in legacy order', () => {
+    expect(mergeLegacyRows([blank], [{ id: 10, refNum: 'A' }, { id: 11, refNum: 'B' }])).toEqual([
+      { id: 10, refNum: 'A', order: 0 },
+      { id: 11, refNum: 'B', order: 1 },
+    ]);
+  });
+
+  test('keeps rows typed into the target and appends the legacy rows after them', () => {
+    const typed = { id: 5, refNum: 'T1', shippingCharge: 100, order: 3 };
+    expect(mergeLegacyRows([blank, typed], [{ id: 10, refNum: 'A' }])).toEqual([
+      typed,
+      { id: 10, refNum: 'A', order: 4 },
+    ]);
+  });
+
+  test('skips legacy rows the target already has by id or reference #', () => {
+    const typed = [
+      { id: 10, refNum: 'A', shippingCharge: 100, order: 0 },
+      { id: 20, refNum: 'B-2', shippingCharge: 200, order: 1 },
+    ];
+    const merged = mergeLegacyRows(typed, [
+      { id: 10, refNum: 'A (edited)' },
+      { id: 30, refNum: ' b-2 ' },
+      { id: 40, refNum: 'C' },
+    ]);
+    expect(merged.map((s) => s.id)).toEqual([10, 20, 40]);
+  });
+
+  test('copies legacy rows without a reference # unless their id is taken', () => {
+    const merged = mergeLegacyRows([], [{ id: 1, refNum: '' }, { id: 2, refNum: '' }, { id: 1, refNum: '' }]);
+    expect(merged.map((s) => s.id)).toEqual([1, 2]);
+  });
+});
+
+describe('normalizeImportDate', () => {
+  test('keeps ISO dates as they are', () => {
+    expect(normalizeImportDate('2025-03-14')).toBe('2025-03-14');
+    expect(normalizeImportDate('  2025-03-14 ')).toBe('2025-03-14');
+  });
+
+  test('converts Date cells using their local calendar day', () => {
+    expect(normalizeImportDate(new Date(2025, 2, 4))).toBe('2025-03-04');
+    expect(normalizeImportDate(new Date('not a date'))).toBeNull();
+  });
+
+  test('converts Excel date serials', () => {
+    expect(normalizeImportDate(45658)).toBe('2025-01-01');
+    expect(normalizeImportDate(45730)).toBe('2025-03-14');
+  });
+
+  test('parses other date text', () => {
+    expect(normalizeImportDate('3/14/2025')).toBe('2025-03-14');
+    expect(normalizeImportDate('March 4, 2025')).toBe('2025-03-04');
+  });
+
+  test("returns '' for blank cells and null for unreadable ones", () => {
+    expect(normalizeImportDate(undefined)).toBe('');
+    expect(normalizeImportDate(null)).toBe('');
+    expect(normalizeImportDate('')).toBe('');
+    expect(normalizeImportDate('   ')).toBe('');
+    expect(normalizeImportDate('next tuesday')).toBeNull();
+  });
+});
+
+describe('normalizeImportCharge', () => {
+  test('passes numbers through', () => {
+    expect(normalizeImportCharge(1234.5)).toBe(1234.5);
+    expect(normalizeImportCharge(0)).toBe(0);
+  });
+
+  test('strips currency symbols, thousands separators and spaces', () => {
+    expect(normalizeImportCharge('$1,234.50')).toBe(1234.5);
+    expect(normalizeImportCharge(' 950 ')).toBe(950);
+    expect(normalizeImportCharge('-75')).toBe(-75);
+  });
+
+  test('treats blank cells as 0', () => {
+    expect(normalizeImportCharge(undefined)).toBe(0);
+    expect(normalizeImportCharge(null)).toBe(0);
+    expect(normalizeImportCharge('')).toBe(0);
+  });
+
+  test('returns null for text that is not a number', () => {
+    expect(normalizeImportCharge('TBD')).toBeNull();
+    expect(normalizeImportCharge('12 USD')).toBeNull();
+  });
+});
+
+describe('planShipmentChanges', () => {
+  const row = (id, fields = {}) => ({ id, refNum: `R${id}`, shippingCharge: 100, order: id, ...fields });
+
+  test('does nothing when the lists match', () => {
+    const rows = [row(1), row(2)];
+    expect(planShipmentChanges(rows, rows.map((r) => ({ ...r })))).toEqual({ writes: [], log: [] });
+  });
+
+  test('creates new rows, defaulting their order to the id', () => {
+    const added = { id: 9, refNum: 'R9' };
+    const { writes, log } = planShipmentChanges([row(1)], [row(1), added]);
+    expect(writes).toEqual([{ type: 'set', id: 9, data: { id: 9, refNum: 'R9', order: 9 } }]);
+    expect(log).toEqual([
+      { rowId: '9', refNum: 'R9', action: 'create', field: null, oldValue: null, newValue: null },
+    ]);
+  });
+
+  test('patches only the fields that changed, one audit entry per field', () => {
+    const { writes, log } = planShipmentChanges(
+      [row(1), row(2)],
+      [row(1), row(2, { shippingCharge: 250, company: 'Acme' })]
+    );
+    expect(writes).toEqual([{ type: 'update', id: 2, data: { shippingCharge: 250, company: 'Acme' } }]);
+    expect(log).toEqual([
+      { rowId: '2', refNum: 'R2', action: 'update', field: 'shippingCharge', oldValue: 100, newValue: 250 },
+      { rowId: '2', refNum: 'R2', action: 'update', field: 'company', oldValue: null, newValue: 'Acme' },
+    ]);
+  });
+
+  test('marks removed fields as undefined in the patch', () => {
+    const { writes } = planShipmentChanges([row(1, { baseCharge: 80 })], [row(1)]);
+    expect(writes).toEqual([{ type: 'update', id: 1, data: { baseCharge: undefined } }]);
+  });
+
+  test('compares nested values by content', () => {
+    const history = [{ status: 'Booked', at: '2025-03-01' }];
+    const { writes } = planShipmentChanges(
+      [row(1, { statusHistory: history })],
+      [row(1, { statusHistory: history.map((h) => ({ ...h })) })]
+    );
+    expect(writes).toEqual([]);
+  });
+
+  test('writes bookkeeping fields without auditing them', () => {
+    const { writes, log } = planShipmentChanges([row(1)], [row(1, { order: 5 })]);
+    expect(writes).toEqual([{ type: 'update', id: 1, data: { order: 5 } }]);
+    expect(log).toEqual([]);
+  });
+
+  test('logs trash and restore instead of the trash fields', () => {
+    const trashed = row(1, { deleted: true, deletedAt: '2025-03-02T00:00:00.000Z', deletedBy: 'Ed' });
+    const toTrash = planShipmentChanges([row(1)], [trashed]);
+    expect(toTrash.writes).toEqual([{
+      type: 'update', id: 1, data: { deleted: true, deletedAt: '2025-03-02T00:00:00.000Z', deletedBy: 'Ed' },
+    }]);
+    expect(toTrash.log.map((e) => e.action)).toEqual(['trash']);
+
+    const restored = planShipmentChanges([trashed], [row(1)]);
+    expect(restored.log.map((e) => e.action)).toEqual(['restore']);
+  });
+
+  test('deletes rows missing from the new list and logs them as purged', () => {
+    const { writes, log } = planShipmentChanges([row(1), row(2)], [row(1)]);
+    expect(writes).toEqual([{ type: 'delete', id: 2 }]);
+    expect(log).toEqual([
+      { rowId: '2', refNum: 'R2', action: 'purge', field: null, oldValue: null, newValue: null },
+    ]);
+  });
+
+  test('logs missing rows as moved when given a destination', () => {
+    const { writes, log } = planShipmentChanges([row(1), row(2)], [row(1)], 'April 2025');
+    expect(writes).toEqual([{ type: 'delete', id: 2 }]);
+    expect(log).toEqual([
+      { rowId: '2', refNum: 'R2', action: 'move', field: null, oldValue: null, newValue: 'April 2025' },
+    ]);
+  });
+
+  test('matches rows by id whether it is stored as a number or a string', () => {
+    const { writes } = planShipmentChanges([row(1)], [{ ...row(1), id: '1' }]);
+    expect(writes).toEqual([{ type: 'update', id: '1', data: { id: '1' } }]);
+  });
+});
+
+describe('validateShipments', () => {
+  const lists = {
+    companies: ['Acme', 'Globex'],
+    locations: ['Phoenix', 'Denver'],
+    agents: ['J.HOLLAND'],
+    year: 2025,
+    month: 'March',
+  };
+  const valid = {
+    id: 1,
+    refNum: 'R1',
+    po: 'PO-1',
+    company: 'Acme',
+    location: 'Phoenix',
+    returnLocation: 'Denver',
+    agent: 'J.HOLLAND',
+    shipMethod: 'Round Trip',
+    status: 'Booked',
+    shipDate: '2025-03-10',
+    returnDate: '2025-03-12',
+    shippingCharge: 500,
+  };
+  const check = (...rows) => validateShipments(rows, lists);
+
+  test('passes a complete row', () => {
+    expect(check(valid)).toEqual({});
+  });
+
+  test('skips untouched blank rows', () => {
+    expect(check({ id: 2, company: 'Nobody', shippingCharge: 0 })).toEqual({});
+  });
+
+  test('flags values missing from the master lists', () => {
+    expect(check({
+      ...valid,
+      company: 'Initech',
+      location: 'Reno',
+      returnLocation: 'Boise',
+      agent: 'X.NOBODY',
+      shipMethod: 'Carrier pigeon',
+      status: 'Lost',
+    })).toEqual({
+      '1:company': ['Unknown company "Initech"'],
+      '1:location': ['Unknown location "Reno"'],
+      '1:returnLocation': ['Unknown location "Boise"'],
+      '1:agent': ['Unknown agent "X.NOBODY"'],
+      '1:shipMethod': ['Unknown ship method "Carrier pigeon"'],
+      '1:status': ['Unknown status "Lost"'],
+    });
+  });
+
+  test('flags ship dates outside the month', () => {
+    expect(check({ ...valid, shipDate: '2025-04-01', returnDate: '2025-04-02' })).toEqual({
+      '1:shipDate': ['Ship date is outside March 2025'],
+    });
+    expect(check({ ...valid, shipDate: '2024-03-10' })).toEqual({
+      '1:shipDate': ['Ship date is outside March 2025'],
+    });
+  });
+
+  test('flags a return date before the ship date', () => {
+    expect(check({ ...valid, returnDate: '2025-03-09' })).toEqual({
+      '1:returnDate': ['Return date is before ship date'],
+    });
+  });
+
+  test('flags daily-rate rows without both dates', () => {
+    expect(check({ ...valid, shipMethod: 'Daily rate', dailyRate: 100, returnDate: '' })).toEqual({
+      '1:shippingCharge': ['Daily rate needs ship and return dates to compute the charge'],
+    });
+  });
+
+  test('flags duplicate reference numbers ignoring case and spaces', () => {
+    expect(check(valid, { ...valid, id: 2, refNum: ' r1 ' })).toEqual({
+      '1:refNum': ['Duplicate reference # (2 rows)'],
+      '2:refNum': ['Duplicate reference # (2 rows)'],
+    });
+  });
+
+  test('flags a missing PO', () => {
+    expect(check({ ...valid, po: '  ' })).toEqual({ '1:po': ['Missing PO'] });
+  });
+});
+
+describe('summarizeBy', () => {
+  test('counts and totals rows per key, biggest spend first', () => {
+    const rows = [
+      { company: 'Acme', shippingCharge: 100 },
+      { company: 'Globex', shippingCharge: 400 },
+      { company: 'Acme', shippingCharge: '150.5' },
+    ];
+    expect(summarizeBy(rows, (s) => s.company)).toEqual([
+      { key: 'Globex', count: 1, total: 400 },
+      { key: 'Acme', count: 2, total: 250.5 },
+    ]);
+  });
+
+  test('groups rows without a key as (Unassigned) and blank charges as 0', () => {
+    expect(summarizeBy([{ agent: '' }, { shippingCharge: 20 }], (s) => s.agent)).toEqual([
+      { key: '(Unassigned)', count: 2, total: 20 },
+    ]);
+  });
+
+  test('returns nothing for no rows', () => {
+    expect(summarizeBy([], (s) => s.company)).toEqual([]);
+  });
+});
+
+describe('matchesFilters', () => {
+  const row = {
+    refNum: 'ABC-123',
+    company: 'Acme',
+    agent: 'J.HOLLAND',
+    location: 'Phoenix',
+    returnLocation: 'Denver',
+    shipMethod: 'One Way',
+    shipDate: '2025-03-10',
+    shippingCharge: 500,
+    po: 'PO-77',
+  };
+  const passes = (filters, s = row) => matchesFilters(s, { ...EMPTY_FILTERS, ...filters });
+
+  test('passes every row when no filter is set', () => {
+    expect(passes({})).toBe(true);
+    expect(passes({}, {})).toBe(true);
+  });
+
+  test('matches company, agent and ship method exactly', () => {
+    expect(passes({ company: 'Acme', agent: 'J.HOLLAND', shipMethod: 'One Way' })).toBe(true);
+    expect(passes({ company: 'acme' })).toBe(false);
+    expect(passes({ agent: 'C.SNIPES' })).toBe(false);
+    expect(passes({ shipMethod: 'Round Trip' })).toBe(false);
+  });
+
+  test('matches a location against either end of the trip', () => {
+    expect(passes({ location: 'Phoenix' })).toBe(true);
+    expect(passes({ location: 'Denver' })).toBe(true);
+    expect(passes({ location: 'Boise' })).toBe(false);
+  });
+
+  test('treats rows without a status as Booked', () => {
+    expect(passes({ status: 'Booked' })).toBe(true);
+    expect(passes({ status: 'Quoted' })).toBe(false);
+    expect(passes({ status: 'Quoted' }, { ...row, status: 'Quoted' })).toBe(true);
+  });
+
+  test('keeps ship dates within an inclusive range and drops undated rows', () => {
+    expect(passes({ dateFrom: '2025-03-10', dateTo: '2025-03-10' })).toBe(true);
+    expect(passes({ dateFrom: '2025-03-11' })).toBe(false);
+    expect(passes({ dateTo: '2025-03-09' })).toBe(false);
+    expect(passes({ dateFrom: '2025-03-01' }, { ...row, shipDate: '' })).toBe(false);
+  });
+
+  test('keeps charges within an inclusive range, counting blank as 0', () => {
+    expect(passes({ chargeMin: '500', chargeMax: '500' })).toBe(true);
+    expect(passes({ chargeMin: '500.01' })).toBe(false);
+    expect(passes({ chargeMax: '499' })).toBe(false);
+    expect(passes({ chargeMin: '0' }, { ...row, shippingCharge: '' })).toBe(true);
+  });
+
+  test('searches the grid columns ignoring case', () => {
+    expect(passes({ search: 'abc-1' })).toBe(true);
+    expect(passes({ search: 'po-77' })).toBe(true);
+    expect(passes({ search: 'denver' })).toBe(true);
+    expect(passes({ search: 'globex' })).toBe(false);
+  });
+});
+
+describe('compareShipments', () => {
+  const sorted = (rows, key, dir = 'asc') =>
+    [...rows].sort((a, b) => compareShipments(a, b, { key, dir })).map((s) => s.id);
+
+  test('sorts charges numerically, blank as 0', () => {
+    const rows = [{ id: 1, shippingCharge: 90 }, { id: 2, shippingCharge: '1000' }, { id: 3 }];
+    expect(sorted(rows, 'shippingCharge')).toEqual([3, 1, 2]);
+    expect(sorted(rows, 'shippingCharge', 'desc')).toEqual([2, 1, 3]);
+  });
+
+  test('sorts statuses in lifecycle order', () => {
+    const rows = [{ id: 1, status: 'Invoiced' }, { id: 2, status: 'Quoted' }, { id: 3 }];
+    expect(sorted(rows, 'status')).toEqual([2, 3, 1]);
+  });
+
+  test('sorts dates with blank dates last in both directions', () => {
+    const rows = [{ id: 1, shipDate: '2025-03-20' }, { id: 2, shipDate: '' }, { id: 3, shipDate: '2025-03-02' }];
+    expect(sorted(rows, 'shipDate')).toEqual([3, 1, 2]);
+    expect(sorted(rows, 'shipDate', 'desc')).toEqual([1, 3, 2]);
+  });
+
+  test('sorts text ignoring case, with numbers in natural order', () => {
+    const rows = [{ id: 1, refNum: 'R10' }, { id: 2, refNum: 'r2' }, { id: 3, refNum: 'R1' }];
+    expect(sorted(rows, 'refNum')).toEqual([3, 2, 1]);
+    expect(sorted(rows, 'refNum', 'desc')).toEqual([1, 2, 3]);
+  });
+});
+
+describe('rentalDays', () => {
+  test('counts calendar days between ship and return', () => {
+    expect(rentalDays('2025-03-10', '2025-03-13')).toBe(3);
+    expect(rentalDays('2024-12-30', '2025-01-02')).toBe(3);
+    expect(rentalDays('2024-02-28', '2024-03-01')).toBe(2);
+  });
+
+  test('is not thrown off by daylight saving changes', () => {
+    expect(rentalDays('2025-03-08', '2025-03-10')).toBe(2);
+    expect(rentalDays('2025-11-01', '2025-11-03')).toBe(2);
+  });
+
+  test('bills a same-day return as one day', () => {
+    expect(rentalDays('2025-03-10', '2025-03-10')).toBe(1);
+  });
+
+  test('returns null when a date is missing, malformed or out of order', () => {
+    expect(rentalDays('2025-03-10', '')).toBeNull();
+    expect(rentalDays(undefined, '2025-03-12')).toBeNull();
+    expect(rentalDays('3/10/2025', '2025-03-12')).toBeNull();
+    expect(rentalDays('2025-03-12', '2025-03-10')).toBeNull();
+  });
+});
+
+describe('chargeBreakdown', () => {
+  const daily = { shipMethod: 'Daily rate', dailyRate: 125.5, shipDate: '2025-03-10', returnDate: '2025-03-13' };
+
+  test('treats a plain row as all base charge', () => {
+    expect(chargeBreakdown({ shippingCharge: 500 })).toEqual({ days: null, base: 500, accessorials: 0, total: 500 });
+  });
+
+  test('prices daily-rate rows from rate × days plus accessorials', () => {
+    expect(chargeBreakdown({ ...daily, liftgate: 50, shippingCharge: 1 })).toEqual({
+      days: 3, base: 376.5, accessorials: 50, total: 426.5,
+    });
+  });
+
+  test('gives a daily-rate row without dates a zero base', () => {
+    expect(chargeBreakdown({ ...daily, returnDate: '', fuelSurcharge: 20 })).toEqual({
+      days: null, base: 0, accessorials: 20, total: 20,
+    });
+  });
+
+  test('uses a stored base charge', () => {
+    expect(chargeBreakdown({ baseCharge: 400, fuelSurcharge: 30, afterHours: '25', shippingCharge: 999 })).toEqual({
+      days: null, base: 400, accessorials: 55, total: 455,
+    });
+  });
+
+  test('backs accessorials out of the total when there is no base yet', () => {
+    expect(chargeBreakdown({ shippingCharge: 500, liftgate: 75 })).toEqual({
+      days: null, base: 425, accessorials: 75, total: 500,
+    });
+  });
+});
+
+describe('deriveCharges', () => {
+  const daily = {
+    shipMethod: 'Daily rate', dailyRate: 100, shipDate: '2025-03-10', returnDate: '2025-03-12',
+    baseCharge: 200, shippingCharge: 200,
+  };
+
+  test('leaves plain rows alone', () => {
+    const row = { shippingCharge: 500 };
+    expect(deriveCharges(undefined, row)).toBe(row);
+    expect(deriveCharges({ shippingCharge: 400 }, row)).toBe(row);
+  });
+
+  test('leaves rows whose base and total already agree alone', () => {
+    const row = { baseCharge: 400, fuelSurcharge: 30, shippingCharge: 430 };
+    expect(deriveCharges({ ...row }, row)).toBe(row);
+  });
+
+  test('splits a new itemized row\'s total into base and accessorials', () => {
+    expect(deriveCharges(undefined, { shippingCharge: 500, liftgate: 75 }))
+      .toEqual({ shippingCharge: 500, liftgate: 75, baseCharge: 425 });
+  });
+
+  test('adds an accessorial on top of the base', () => {
+    const prev = { baseCharge: 400, shippingCharge: 400 };
+    expect(deriveCharges(prev, { ...prev, fuelSurcharge: 30 }))
+      .toEqual({ baseCharge: 400, fuelSurcharge: 30, shippingCharge: 430 });
+  });
+
+  test('keeps a typed total and adjusts the base', () => {
+    const prev = { baseCharge: 400, fuelSurcharge: 30, shippingCharge: 430 };
+    expect(deriveCharges(prev, { ...prev, shippingCharge: 500 }))
+      .toEqual({ baseCharge: 470, fuelSurcharge: 30, shippingCharge: 500 });
+  });
+
+  test('reprices daily-rate rows when the dates change', () => {
+    expect(deriveCharges(daily, { ...daily, returnDate: '2025-03-15' }))
+      .toMatchObject({ baseCharge: 500, shippingCharge: 500 });
+  });
+
+  test('keeps daily-rate rows at rate × days even when a total is typed', () => {
+    expect(deriveCharges(daily, { ...daily, shippingCharge: 999 }))
+      .toMatchObject({ baseCharge: 200, shippingCharge: 200 });
+  });
+
+  test('rounds to cents', () => {
+    expect(deriveCharges(undefined, { ...daily, dailyRate: 33.333, returnDate: '2025-03-13' }))
+      .toMatchObject({ baseCharge: 100, shippingCharge: 100 });
+  });
+});
+
+describe('isCommitted', () => {
+  test('counts booked and later statuses, and rows without a status', () => {
+    ['Booked', 'In Transit', 'Delivered', 'Returned', 'Invoiced'].forEach((status) => {
+      expect(isCommitted({ status })).toBe(true);
+    });
+    expect(isCommitted({})).toBe(true);
+  });
+
+  test('leaves out quotes and cancellations', () => {
+    expect(isCommitted({ status: 'Quoted' })).toBe(false);
+    expect(isCommitted({ status: 'Cancelled' })).toBe(false);
+  });
+});
+
+describe('stampStatus', () => {
+  const NOW = '2025-03-14T09:30:00.000Z';
+  const earlier = { status: 'Quoted', at: '2025-03-01T00:00:00.000Z', by: 'Ed' };
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date(NOW));
+  });
+  afterEach(() => jest.useRealTimers());
+
+  test('stamps new rows with their initial status', () => {
+    expect(stampStatus(undefined, { id: 1, status: 'Quoted' }, 'Ed')).toEqual({
+      id: 1, status: 'Quoted', statusHistory: [{ status: 'Quoted', at: NOW, by: 'Ed' }],
+    });
+  });
+
+  test('stamps new rows without a status as Booked', () => {
+    expect(stampStatus(undefined, { id: 1 }, 'Ed')).toEqual({
+      id: 1, status: 'Booked', statusHistory: [{ status: 'Booked', at: NOW, by: 'Ed' }],
+    });
+  });
+
+  test('appends a transition when the status changes', () => {
+    const prev = { id: 1, status: 'Quoted', statusHistory: [earlier] };
+    expect(stampStatus(prev, { ...prev, status: 'Booked' }, 'Val')).toEqual({
+      id: 1, status: 'Booked', statusHistory: [earlier, { status: 'Booked', at: NOW, by: 'Val' }],
+    });
+  });
+
+  test('leaves rows alone when the status did not change', () => {
+    const prev = { id: 1, status: 'Quoted', statusHistory: [earlier], refNum: 'R1' };
+    const next = { ...prev, refNum: 'R2' };
+    expect(stampStatus(prev, next, 'Ed')).toBe(next);
+  });
+
+  test('treats a legacy row without a status as Booked', () => {
+    const next = { id: 1, status: 'Booked' };
+    expect(stampStatus({ id: 1 }, next, 'Ed')).toBe(next);
+  });
+
+  test('leaves unknown statuses for validation to flag', () => {
+    const next = { id: 1, status: 'Lost' };
+    expect(stampStatus({ id: 1, status: 'Booked' }, next, 'Ed')).toBe(next);
+    expect(stampStatus(undefined, next, 'Ed')).toBe(next);
+  });
+});
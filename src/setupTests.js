@@ -2,4 +2,7 @@
 // allows you to do things like:
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
-import '@testing-library/jest-dom';
+// (Skipped for suites that run in the node environment, e.g. the rules specs.)
+if (typeof window !== 'undefined') {
+  require('@testing-library/jest-dom');
+}